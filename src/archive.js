@@ -0,0 +1,221 @@
+/**
+ * ZIP archives of multiple S3 Objects, streamed on the fly
+ */
+
+const Path = require('path');
+
+const Boom = require('boom');
+const ContentDisposition = require('content-disposition');
+const Yazl = require('yazl');
+
+const Helpers = require('./helpers');
+const List = require('./list');
+
+const internals = {};
+const Archive = exports;
+
+
+internals.contentType = 'application/zip';
+
+
+/**
+ * tests if the request should be answered with an archive
+ *
+ * @param {Object} request - Hapi request Object
+ * @return {Boolean}
+ */
+Archive.isArchive = function (request) {
+
+  const { archive } = request.route.settings.plugins.s3;
+
+  return Boolean(archive);
+};
+
+
+/**
+ * returns a loader for the pages of archived keys
+ *
+ * - `archive.keys` given: a single page with the resolved keys
+ * - otherwise: all keys under `prefix`, page by page
+ *
+ * @return {Func} - loadPage([continuationToken]) -> Promise<{ keys, [nextContinuationToken] }>
+ */
+internals.getPageLoader = function (request, bucket, prefix) {
+
+  const { archive } = request.route.settings.plugins.s3;
+
+  if (typeof archive.keys === 'function') {
+    return () => Promise.resolve(archive.keys(request, { bucket, prefix }))
+      .then((keys) => ({ keys: keys || [] }));
+  }
+
+  return (continuationToken) => List.listKeys(request, bucket, prefix, continuationToken);
+};
+
+
+/**
+ * resolves the name of an archive entry
+ *
+ * - if function: filename(request, { bucket, key, filename, metadata }) -> Promise|String
+ *   - `filename`: the key relative to `prefix`
+ *   - `metadata`: S3 user meta data (`x-amz-meta-*`) of the object
+ * - otherwise: the key relative to `prefix`
+ */
+internals.getEntryName = function (request, bucket, key, prefix, metadata) {
+
+  const { filename } = request.route.settings.plugins.s3;
+  const relativeKey = (prefix && key.startsWith(prefix)) ? key.slice(prefix.length) : key;
+
+  if (typeof filename !== 'function') {
+    return Promise.resolve(relativeKey);
+  }
+
+  return Promise.resolve(filename(request, { bucket, key, filename: relativeKey, metadata }))
+    .then((name) => name || relativeKey);
+};
+
+
+/**
+ * adds the S3 Object as entry to the archive, resolves as soon as the
+ * object was read completely
+ */
+internals.addEntry = function (request, zipfile, bucket, key, prefix) {
+
+  const getEntryName = function (object) {
+    return internals.getEntryName(request, bucket, key, prefix, object.objectMetaData.Metadata)
+      .then((name) => [object, name]);
+  };
+
+  return Helpers.getObjectStream(request, bucket, key)
+    .then(getEntryName)
+    .then(([{ objectMetaData, stream }, name]) => new Promise((resolve, reject) => {
+      stream.once('end', resolve);
+      stream.once('error', (err) => reject(Helpers.S3Error(err, { bucket, key })));
+
+      zipfile.addReadStream(stream, name, Helpers.compactObject({
+        mtime: objectMetaData.LastModified,
+        size: objectMetaData.ContentLength
+      }));
+    }));
+};
+
+
+/**
+ * adds all pages of keys to the archive, one object at a time, and ends
+ * the archive
+ *
+ * - errors are emitted on the archive stream, hapi then destroys the response
+ * - stops if the archive stream is closed (e.g. the client disconnected)
+ */
+internals.addEntries = function (request, zipfile, bucket, prefix, loadPage, firstPage) {
+
+  let isClosed = false;
+  zipfile.outputStream.once('close', () => {
+    isClosed = true;
+  });
+
+  const addKeys = function (keys) {
+    return keys.reduce((promise, key) => promise.then(() => {
+      if (isClosed) {
+        return null;
+      }
+
+      return internals.addEntry(request, zipfile, bucket, key, prefix);
+    }), Promise.resolve());
+  };
+
+  const addPage = function ({ keys, nextContinuationToken }) {
+    return addKeys(keys)
+      .then(() => {
+        if (!nextContinuationToken || isClosed) {
+          return null;
+        }
+
+        return loadPage(nextContinuationToken)
+          .then(addPage);
+      });
+  };
+
+  return addPage(firstPage)
+    .then(() => zipfile.end())
+    .catch((err) => zipfile.outputStream.emit('error', err));
+};
+
+
+/**
+ * reply with a ZIP archive of the objects under `prefix` (or the keys
+ * resolved by `archive.keys`) or delegate reply behaviour to `onResponse`
+ *
+ * - rejects with 404 (Not Found) if there is no object to archive
+ * - the archive is named after the prefix (or bucket): `<name>.zip`
+ * - `HEAD` requests are answered without loading the objects
+ */
+Archive.replyWithArchive = function (request, reply, bucket, key) {
+
+  const { archive, onResponse } = request.route.settings.plugins.s3;
+  const prefix = key ? List.getPrefix(request, key) : '';
+  const loadPage = internals.getPageLoader(request, bucket, prefix);
+
+  // load the first page of keys, to reply with 404 if there is none
+  const loadFirstPage = function () {
+    return loadPage()
+      .then((page) => {
+        if (!page.keys.length) {
+          return Promise.reject(Boom.notFound(`could not find Objects: [s3://${bucket}/${prefix}]`));
+        }
+
+        return page;
+      });
+  };
+
+  // resolve the content disposition of the archive
+  const getContentDisposition = function (page) {
+    const name = `${Path.basename(prefix) || bucket}.zip`;
+
+    return Helpers.getContentDisposition(request, bucket, name, { ContentDisposition: ContentDisposition(name) })
+      .then((disposition) => [page, disposition]);
+  };
+
+  // reply with the archive stream or delegate reply behaviour to `onResponse`
+  const replyArchive = function ([page, disposition]) {
+    const zipfile = new Yazl.ZipFile();
+    const isHead = request.method === 'head';
+
+    if (!isHead) {
+      internals.addEntries(request, zipfile, bucket, prefix, loadPage, page);
+    }
+
+    const data = isHead ? null : zipfile.outputStream;
+
+    // delegate reply if configured
+    if (onResponse) {
+      const options = Helpers.compactObject({
+        bucket,
+        prefix,
+        keys: typeof archive.keys === 'function' ? page.keys : undefined,
+        contentType: internals.contentType,
+        contentDisposition: disposition,
+        defaultStatusCode: 200,
+        data
+      });
+
+      return onResponse(/* error */null, /* res */data, request, reply, options);
+    }
+
+    // default reply strategy
+    const response = reply(data).code(200);
+
+    response.type(internals.contentType);
+
+    if (disposition) {
+      response.header('Content-Disposition', disposition);
+    }
+
+    return response;
+  };
+
+  return Promise.resolve()
+    .then(loadFirstPage)
+    .then(getContentDisposition)
+    .then(replyArchive);
+};
@@ -43,19 +43,20 @@ internals.deleteObject = function (request, bucket, key, params = {}) {
  */
 Delete.handler = function (request, reply) {
 
-  // resolve `bucket` and `key`
+  // resolve `bucket`, `key` and the `versionId` to delete (if any)
   const getBucketAndKey = function () {
     return Promise
       .all([
         Helpers.getBucket(request),
-        Helpers.getKey(request)
+        Helpers.getKey(request),
+        Helpers.getVersionId(request)
       ])
-      .then(([bucket, key]) => [bucket, key]);
+      .then(([bucket, key, versionId]) => [bucket, key, versionId]);
   };
 
-  // delete the s3 object
-  const deleteObject = function ([bucket, key]) {
-    return internals.deleteObject(request, bucket, key)
+  // delete the s3 object (or the given version of it)
+  const deleteObject = function ([bucket, key, versionId]) {
+    return internals.deleteObject(request, bucket, key, Helpers.compactObject({ VersionId: versionId }))
       .then((data) => [bucket, key, data]);
   };
 
@@ -63,12 +64,15 @@ Delete.handler = function (request, reply) {
   // to `onResponse`
   const replyDeleted = function ([bucket, key, data]) {
     const { onResponse } = request.route.settings.plugins.s3;
+    // the deleted version or the version of the created delete marker
+    const { VersionId: versionId } = data;
 
     // delegate reply if configured
     if (onResponse) {
       const options = Helpers.compactObject({
         bucket,
         key,
+        versionId,
         defaultStatusCode: 204,
         data: null,
         s3Response: data
@@ -78,7 +82,13 @@ Delete.handler = function (request, reply) {
     }
 
     // default reply strategy
-    return reply().code(204);
+    const response = reply().code(204);
+
+    if (versionId) {
+      response.header('X-Version-Id', versionId);
+    }
+
+    return response;
   };
 
   return Promise.resolve()
@@ -0,0 +1,206 @@
+/**
+ * End-to-end checksums: MD5 and SHA-256 digests of uploads
+ */
+
+const Crypto = require('crypto');
+const Stream = require('stream');
+
+const Boom = require('boom');
+
+const internals = {};
+const Digest = exports;
+
+
+// supported algorithms: names in `Digest` / `Repr-Digest` headers and length of the base64 digests
+internals.algorithms = {
+  md5: { name: 'md5', hash: 'md5', rx: /^[A-Za-z0-9+/]{22}==$/ },
+  sha256: { name: 'sha-256', hash: 'sha256', rx: /^[A-Za-z0-9+/]{43}=$/ }
+};
+
+// S3 user meta data (`x-amz-meta-*`) storing the base64 digests
+Digest.metadataKeys = {
+  md5: 'content-md5',
+  sha256: 'content-sha256'
+};
+
+// `<algorithm>=<value>` members of the `Digest` (RFC 3230) and `Repr-Digest` (RFC 9530) headers,
+// `Repr-Digest` values are byte sequences: `:<base64>:`
+internals.memberRx = /^([A-Za-z0-9-]+)=(.*)$/;
+internals.byteSequenceRx = /^:(.*):$/;
+
+
+/**
+ * returns the supported algorithm with the given header name
+ *
+ * @param {String} name - e.g. `SHA-256`
+ * @return {String|undefined} - key of `internals.algorithms`
+ */
+internals.getAlgorithm = function (name) {
+
+  return Object.keys(internals.algorithms)
+    .find((algorithm) => internals.algorithms[algorithm].name === name.toLowerCase());
+};
+
+
+/**
+ * parses the members of a `Digest` or `Repr-Digest` header,
+ * members with unsupported algorithms are ignored
+ *
+ * @param {String} header - lower cased header name
+ * @param {String} value
+ * @return {Array<Object>} - `[{ header, algorithm, digest }]`
+ */
+internals.parseMembers = function (header, value) {
+
+  return value.split(',')
+    .map((member) => member.trim())
+    .reduce((memo, member) => {
+      const match = internals.memberRx.exec(member);
+
+      if (!match) {
+        throw Boom.badRequest(`invalid ${header} header`);
+      }
+
+      const algorithm = internals.getAlgorithm(match[1]);
+
+      if (!algorithm) {
+        return memo;
+      }
+
+      const byteSequence = internals.byteSequenceRx.exec(match[2]);
+      const digest = header === 'repr-digest' ? byteSequence && byteSequence[1] : match[2];
+
+      if (!digest || !internals.algorithms[algorithm].rx.test(digest)) {
+        throw Boom.badRequest(`invalid ${header} header`);
+      }
+
+      return memo.concat({ header, algorithm, digest });
+    }, []);
+};
+
+
+/**
+ * parses the expected digests of an upload from the `Content-MD5`, `Digest` and `Repr-Digest` headers
+ *
+ * - throws 400 (Bad Request) for invalid headers
+ *
+ * @param {Object} headers - lower cased HTTP headers of the request or form data entry
+ * @return {Array<Object>} - `[{ header, algorithm, digest }]`, digests are base64 encoded
+ */
+Digest.parse = function (headers = {}) {
+
+  const { 'content-md5': contentMD5, digest, 'repr-digest': reprDigest } = headers;
+  const expected = [];
+
+  if (contentMD5) {
+    if (!internals.algorithms.md5.rx.test(contentMD5)) {
+      throw Boom.badRequest('invalid content-md5 header');
+    }
+
+    expected.push({ header: 'content-md5', algorithm: 'md5', digest: contentMD5 });
+  }
+
+  if (digest) {
+    expected.push(...internals.parseMembers('digest', digest));
+  }
+
+  if (reprDigest) {
+    expected.push(...internals.parseMembers('repr-digest', reprDigest));
+  }
+
+  return expected;
+};
+
+
+/**
+ * returns a stream of the given file, which computes its MD5 and SHA-256 digests
+ *
+ * - the base64 digests are stored in `metadata` before the stream ends
+ * - errors with 400 (Bad Request) instead of ending, if the file does not match the expected digests
+ *
+ * @param {Stream} file
+ * @param {String} name - the form key (or S3 key) used in error messages
+ * @param {Array<Object>} expected - expected digests (see `Digest.parse`)
+ * @param {Object} metadata - S3 user meta data of the upload
+ * @return {Stream}
+ */
+Digest.stream = function (file, name, expected, metadata) {
+
+  const hashes = Object.keys(internals.algorithms)
+    .reduce((memo, algorithm) => {
+      return Object.assign(memo, { [algorithm]: Crypto.createHash(internals.algorithms[algorithm].hash) });
+    }, {});
+
+  const hashed = new Stream.Transform({
+    transform(chunk, encoding, next) {
+      Object.keys(hashes).forEach((algorithm) => hashes[algorithm].update(chunk));
+
+      return next(null, chunk);
+    },
+
+    flush(done) {
+      const digests = Object.keys(hashes)
+        .reduce((memo, algorithm) => Object.assign(memo, { [algorithm]: hashes[algorithm].digest('base64') }), {});
+
+      const mismatch = expected.find(({ algorithm, digest }) => digests[algorithm] !== digest);
+
+      if (mismatch) {
+        return done(Boom.badRequest(`the file "${name}" does not match the ${mismatch.header} header`));
+      }
+
+      Object.keys(digests).forEach((algorithm) => {
+        metadata[Digest.metadataKeys[algorithm]] = digests[algorithm];
+      });
+
+      return done();
+    }
+  });
+
+  // stop reading, but drain the rest of the file
+  hashed.once('error', () => {
+    file.unpipe(hashed);
+    file.resume();
+  });
+
+  file.once('error', (err) => hashed.emit('error', err));
+
+  return file.pipe(hashed);
+};
+
+
+/**
+ * returns the digests stored in the S3 user meta data
+ *
+ * @param {Object} [metadata] - S3 user meta data (`x-amz-meta-*`)
+ * @return {Object} - `{ [md5], [sha256] }`
+ */
+Digest.fromMetadata = function (metadata = {}) {
+
+  return Object.keys(Digest.metadataKeys)
+    .filter((algorithm) => metadata[Digest.metadataKeys[algorithm]])
+    .reduce((memo, algorithm) => Object.assign(memo, { [algorithm]: metadata[Digest.metadataKeys[algorithm]] }), {});
+};
+
+
+/**
+ * returns the `Digest` and `Repr-Digest` headers of the digests stored in the S3 user meta data
+ *
+ * @param {Object} [metadata] - S3 user meta data (`x-amz-meta-*`)
+ * @return {Object} - empty if no digests are stored
+ */
+Digest.getHeaders = function (metadata) {
+
+  const digests = Digest.fromMetadata(metadata);
+  const algorithms = ['sha256', 'md5'].filter((algorithm) => digests[algorithm]);
+
+  if (!algorithms.length) {
+    return {};
+  }
+
+  const toMember = (algorithm, value) => `${internals.algorithms[algorithm].name}=${value}`;
+
+  return {
+    digest: algorithms.map((algorithm) => toMember(algorithm, digests[algorithm])).join(', '),
+    'repr-digest': algorithms.map((algorithm) => toMember(algorithm, `:${digests[algorithm]}:`)).join(', ')
+  };
+};
@@ -1,3 +1,4 @@
+const Crypto = require('crypto');
 const Path = require('path');
 
 const AWS = require('aws-sdk');
@@ -102,25 +103,64 @@ Helpers.getS3Client = function (request) {
 
 
 /**
- * resolves with the S3 `Bucket`
+ * tests if the installed `aws-sdk` supports conditional writes (`IfNoneMatch`
+ * of `putObject`, added in 2.1679.0), older versions reject the parameter
+ *
+ * @returns {Boolean}
+ */
+Helpers.supportsConditionalWrites = function () {
+
+  const { members } = new AWS.S3().api.operations.putObject.input;
+
+  return Object.keys(members).includes('IfNoneMatch');
+};
+
+
+/**
+ * resolves with the S3 `Bucket`s, in the order they are tried when reading
+ * objects
  *
  * @param {Object} request - Hapi request Object
- * @resolve {String} - resolved S3 Bucket name
+ * @resolve {Array<String>} - resolved S3 Bucket names
  * @reject - if no bucket could be resolved
  */
-Helpers.getBucket = function (request) {
+Helpers.getBuckets = function (request) {
 
   const { bucket } = request.route.settings.plugins.s3;
 
-  if (typeof bucket === 'string') {
-    return Promise.resolve(bucket);
-  }
+  const getBuckets = function () {
+    if (typeof bucket === 'function') {
+      return Promise.resolve(bucket(request));
+    }
 
-  if (typeof bucket === 'function') {
-    return Promise.resolve(bucket(request));
-  }
+    return bucket;
+  };
+
+  return Promise.resolve()
+    .then(getBuckets)
+    .then((value) => {
+      const buckets = [].concat(value).filter(Helpers.exists);
 
-  return Promise.reject(Helpers.BadImplementationError('cannot resolve "bucket"'));
+      if (!buckets.length) {
+        return Promise.reject(Helpers.BadImplementationError('cannot resolve "bucket"'));
+      }
+
+      return buckets;
+    });
+};
+
+
+/**
+ * resolves with the S3 `Bucket`, the first one if multiple buckets are given
+ *
+ * @param {Object} request - Hapi request Object
+ * @resolve {String} - resolved S3 Bucket name
+ * @reject - if no bucket could be resolved
+ */
+Helpers.getBucket = function (request) {
+
+  return Helpers.getBuckets(request)
+    .then(([bucket]) => bucket);
 };
 
 
@@ -152,12 +192,16 @@ internals.randomizeKey = function (test, key) {
  * resolves with the S3 `Key`
  *
  * @param {Object} request - Hapi request Object
+ * @param {Object} [options]
+ * @param {String} [options.fileKey] - postfix of the key (e.g. FormData key)
+ * @param {Boolean} [options.randomize] - randomize the key's basename
+ * @param {Boolean} [options.allowEmpty] - resolve with `''` instead of rejecting, if no key is given (e.g. listings)
  * @resolves {String} - S3 Key Name, can be `''`
  */
 Helpers.getKey = function (request, options = {}) {
 
   const { key } = request.route.settings.plugins.s3;
-  const { fileKey, randomize } = options;
+  const { fileKey, randomize, allowEmpty } = options;
 
   const getKey = function () {
     if (typeof key === 'function') {
@@ -169,6 +213,10 @@ Helpers.getKey = function (request, options = {}) {
     const postfix = fileKey || '';
 
     if (!prefix && !path && !postfix) {
+      if (allowEmpty) {
+        return '';
+      }
+
       return Promise.reject(Helpers.BadImplementationError('cannot resolve "key"'));
     }
 
@@ -181,51 +229,262 @@ Helpers.getKey = function (request, options = {}) {
 };
 
 
+// messages of S3 errors caused by missing or wrong customer provided encryption keys (SSE-C)
+internals.sseCustomerErrorRx = /server side encryption|encryption (parameters|key)|secret key|hash of the key/i;
+
+
 /**
  * Wrap the Error of a `s3` request into a Boom error.
  *
  * @param {Error} error - error of the `s3` request
+ * @param {Object} options
+ * @param {String} options.bucket
+ * @param {String} options.key
  */
 Helpers.S3Error = function (error, { bucket, key }) {
 
   let message;
-  const statusCode = error.statusCode || 500;
+  // client side errors (e.g. parsing a response) can have a status code < 400
+  const statusCode = error.statusCode >= 400 ? error.statusCode : 500;
 
   if (statusCode === 404) {
     message = `could not find Object: [s3://${bucket}/${key}]`;
   }
 
+  // S3 rejects wrong and missing keys with 400 or 403, only the message tells
+  // them apart from other errors (`HEAD` responses have no message)
+  if ((statusCode === 400 || statusCode === 403) && internals.sseCustomerErrorRx.test(error.message)) {
+    message = `could not decrypt Object: [s3://${bucket}/${key}], the customer encryption key is missing or wrong`;
+  }
+
   return Boom.create(statusCode, message, Object.assign({}, error));
 };
 
+/**
+ * resolves with the S3 `VersionId` of the requested object
+ *
+ * @param {Func|Bool} request...versionId
+ * - if `true`: use the `versionId` query parameter
+ * - if function: versionId(request) -> Promise|String
+ * @resolves {String|undefined} - `undefined` for the latest version
+ */
+Helpers.getVersionId = function (request) {
+
+  const { versionId } = request.route.settings.plugins.s3;
+
+  const getVersionId = function () {
+    if (typeof versionId === 'function') {
+      return Promise.resolve(versionId(request));
+    }
+
+    if (versionId === true) {
+      return request.query.versionId;
+    }
+
+    return undefined;
+  };
+
+  return Promise.resolve()
+    .then(getVersionId)
+    .then((value) => value || undefined);
+};
+
+
+/**
+ * resolves with the SSE-C params (customer provided encryption key) of a S3 request
+ *
+ * @param {Func} request...sseCustomerKey
+ * - sseCustomerKey(request, { bucket, key }) -> Promise|Buffer|String|null
+ *   - the 256 bit key as Buffer or base64 encoded String
+ *   - resolving `null` or `undefined` does not use a customer provided key
+ * @resolves {Object<{ [SSECustomerAlgorithm], [SSECustomerKey], [SSECustomerKeyMD5] }>}
+ */
+Helpers.getSSECustomerParams = function (request, bucket, key) {
+
+  const { sseCustomerKey } = request.route.settings.plugins.s3;
+
+  if (typeof sseCustomerKey !== 'function') {
+    return Promise.resolve({});
+  }
+
+  return Promise.resolve(sseCustomerKey(request, { bucket, key }))
+    .then((value) => {
+      if (!value) {
+        return {};
+      }
+
+      const customerKey = Buffer.isBuffer(value) ? value : Buffer.from(value, 'base64');
+
+      if (customerKey.length !== 32) {
+        return Promise.reject(Helpers.BadImplementationError('"sseCustomerKey" must resolve a 256 bit key'));
+      }
+
+      return {
+        SSECustomerAlgorithm: 'AES256',
+        SSECustomerKey: customerKey,
+        SSECustomerKeyMD5: Crypto.createHash('md5').update(customerKey).digest('base64')
+      };
+    });
+};
+
+
 /**
  * resolves with a transformed version of the S3 Object's meta data
  *
  * @param {Object} request - Hapi request Object
  * @param {String} bucket
  * @param {String} key
+ * @param {Object} [params] - additional `headObject` params (e.g. `VersionId`)
  */
-Helpers.getObjectMetaData = function (request, bucket, key) {
+Helpers.getObjectMetaData = function (request, bucket, key, params = {}) {
 
   if (!bucket || !key) {
     return Promise.reject(Helpers.BadImplementationError('bucket or key cannot not be empty'));
   }
 
   const s3 = Helpers.getS3Client(request);
-  return new Promise((resolve, reject) => {
 
-    s3.headObject({ Bucket: bucket, Key: key }, (err, data) => {
+  const headObject = function (sseParams) {
+    const headParams = Object.assign({}, params, sseParams, {
+      Bucket: bucket,
+      Key: key
+    });
 
-      if (err) {
-        return reject(Helpers.S3Error(err, { bucket, key }));
-      }
+    return new Promise((resolve, reject) => {
+
+      s3.headObject(headParams, (err, data) => {
+
+        if (err) {
+          return reject(Helpers.S3Error(err, { bucket, key }));
+        }
 
-      return resolve(data);
+        return resolve(data);
+      });
     });
+  };
+
+  return Helpers.getSSECustomerParams(request, bucket, key)
+    .then(headObject);
+};
+
+
+/**
+ * transforms the HTTP headers of a S3 `getObject` response into the
+ * format of the `headObject` response
+ *
+ * @param {Object} headers - lower cased HTTP headers
+ * @return {Object}
+ */
+Helpers.toObjectMetaData = function (headers) {
+
+  const toDate = (value) => (value ? new Date(value) : undefined);
+  const metaPrefix = 'x-amz-meta-';
+
+  const metaData = Object.keys(headers)
+    .filter((name) => name.startsWith(metaPrefix))
+    .reduce((memo, name) => Object.assign(memo, { [name.slice(metaPrefix.length)]: headers[name] }), {});
+
+  return Helpers.compactObject({
+    AcceptRanges: headers['accept-ranges'],
+    CacheControl: headers['cache-control'],
+    ContentDisposition: headers['content-disposition'],
+    ContentEncoding: headers['content-encoding'],
+    ContentLength: headers['content-length'] ? parseInt(headers['content-length'], 10) : undefined,
+    ContentRange: headers['content-range'],
+    ContentType: headers['content-type'],
+    ETag: headers.etag,
+    Expires: toDate(headers.expires),
+    LastModified: toDate(headers['last-modified']),
+    Metadata: metaData,
+    VersionId: headers['x-amz-version-id']
   });
 };
 
 
+/**
+ * resolves with a stream of the S3 Object, as soon as the response headers
+ * are received
+ *
+ * @resolves {Object<{ statusCode, headers, objectMetaData, stream, abort }>}
+ * - `objectMetaData`: the headers in the format of the `headObject` response
+ * - `abort()`: aborts the S3 request, if the stream is not used
+ */
+Helpers.getObjectStream = function (request, bucket, key, params = {}) {
+
+  if (!bucket || !key) {
+    return Promise.reject(Helpers.BadImplementationError('bucket or key should not be empty'));
+  }
+
+  const s3 = Helpers.getS3Client(request);
+
+  const getObject = function (sseParams) {
+    const getParams = Object.assign({}, params, sseParams, {
+      Bucket: bucket,
+      Key: key
+    });
+
+    return new Promise((resolve, reject) => {
+      const req = s3.getObject(getParams);
+
+      // piped from the http response, pauses the s3 download if the client is slow
+      const stream = req.createReadStream();
+      let isDone = false;
+
+      // aborts the s3 request, unless the object was loaded completely
+      const abort = function () {
+        if (!isDone) {
+          isDone = true;
+          req.abort();
+        }
+      };
+
+      // the request outlives the stream (e.g. the entries of an archive), so
+      // the listener would retain the stream until the request is finished
+      const done = function () {
+        isDone = true;
+        request.removeListener('disconnect', abort);
+      };
+
+      // errors after the response headers are handled by hapi, which destroys
+      // the response
+      stream.on('error', (err) => {
+        done();
+        reject(Helpers.S3Error(err, { bucket, key }));
+      });
+
+      stream.on('end', done);
+
+      // hapi destroys the stream if the response is not transmitted, e.g.
+      // on errors or if the request timed out
+      stream.on('close', () => {
+        abort();
+        done();
+      });
+      request.once('disconnect', abort);
+
+      req.on('httpHeaders', (statusCode, headers) => {
+        // rejected with the parsed S3 error on `error`, its message is needed
+        // to explain the error
+        if (statusCode >= 400) {
+          return null;
+        }
+
+        return resolve({
+          statusCode,
+          headers,
+          objectMetaData: Helpers.toObjectMetaData(headers),
+          stream,
+          abort
+        });
+      });
+    });
+  };
+
+  return Helpers.getSSECustomerParams(request, bucket, key)
+    .then(getObject);
+};
+
+
 /**
  * tests if one item in a white-list (regex) matches the given item
  *
@@ -269,7 +528,9 @@ Helpers.getContentType = function (request, bucket, key, options = {}) {
     }
 
     if (typeof contentType === 'function') {
-      return Promise.resolve(contentType(request, { bucket, key, contentType: options.ContentType }));
+      const args = { bucket, key, contentType: options.ContentType, metadata: options.Metadata };
+
+      return Promise.resolve(contentType(request, args));
     }
 
     return options.ContentType;
@@ -294,8 +555,9 @@ Helpers.getContentType = function (request, bucket, key, options = {}) {
  * resolves the `filename` for the Content-Disposition header
  *
  * @param {Func|String|null} request...filename
- * - if function: filename(request, { bucket, key, [filename] }) -> Promise|String
+ * - if function: filename(request, { bucket, key, [filename], [metadata] }) -> Promise|String
  *   - `filename`: content dispostion file name on S3 / POST form data
+ *   - `metadata`: S3 user meta data (`x-amz-meta-*`) of the served object
  * - if not given:
  *   - if mode=attachment|inline: use the S3 ContentType / FormData if exists
  *   - if mode=auto|false: don't set a content-dispostion header
@@ -306,7 +568,9 @@ internals.getFilename = function (request, bucket, key, options = {}) {
   const mode = getMode(request);
 
   if (typeof filename === 'function') {
-    return Promise.resolve(filename(request, { bucket, key, filename: options.filename }));
+    const args = { bucket, key, filename: options.filename, metadata: options.metadata };
+
+    return Promise.resolve(filename(request, args));
   }
 
   if (!filename && (mode === 'attachment' || mode === 'inline')) {
@@ -352,7 +616,7 @@ Helpers.getContentDisposition = function (request, bucket, key, options = {}) {
   }
 
   return Promise.resolve()
-    .then(() => internals.getFilename(request, bucket, key, { filename }))
+    .then(() => internals.getFilename(request, bucket, key, { filename, metadata: options.Metadata }))
     .then((fname) => {
       if (!fname) {
         return null;
@@ -363,6 +627,83 @@ Helpers.getContentDisposition = function (request, bucket, key, options = {}) {
 };
 
 
+/**
+ * resolves the `Cache-Control` and `Expires` headers
+ *
+ * @param {Func|String|Bool|null} request...cacheControl
+ * - if not given: use the S3 CacheControl and Expires if exists
+ * - if `false`: don't set caching headers
+ * - if string: use as Cache-Control header (S3 Expires is ignored)
+ * - if function: cacheControl(request, { bucket, key, metaData }) -> Promise|String|Bool|null
+ *   - `metaData`: S3 object meta data
+ *   - resolving `null` or `undefined` uses the S3 values, `false` disables the headers
+ * @resolves {Object<{ [cacheControl], [expires] }>}
+ */
+Helpers.getCacheControl = function (request, bucket, key, metaData = {}) {
+
+  const { cacheControl } = request.route.settings.plugins.s3;
+
+  const getCacheControl = function () {
+    if (typeof cacheControl === 'function') {
+      return Promise.resolve(cacheControl(request, { bucket, key, metaData }));
+    }
+
+    return cacheControl;
+  };
+
+  const toHeaders = function (value) {
+    if (value === false) {
+      return {};
+    }
+
+    if (typeof value === 'string') {
+      return { cacheControl: value };
+    }
+
+    const expires = metaData.Expires ? new Date(metaData.Expires) : null;
+
+    return Helpers.compactObject({
+      cacheControl: metaData.CacheControl,
+      expires: (expires && !isNaN(expires.getTime())) ? expires.toUTCString() : undefined
+    });
+  };
+
+  return Promise.resolve()
+    .then(getCacheControl)
+    .then(toHeaders);
+};
+
+
+/**
+ * resolves the response headers exposing the S3 user meta data (`x-amz-meta-*`)
+ *
+ * @param {Array|Func|null} request...exposeMetadata
+ * - if not given: don't expose any meta data
+ * - if array: expose the entries with matching names (Strings or RegExps) as `x-amz-meta-<name>` headers
+ * - if function: exposeMetadata(request, { bucket, key, metadata }) -> Promise|Object|null
+ *   - resolves with the headers to set, e.g. `{ 'X-Author': metadata.author }`
+ * @resolves {Object} - header names with their values
+ */
+Helpers.getMetadataHeaders = function (request, bucket, key, metadata = {}) {
+
+  const { exposeMetadata } = request.route.settings.plugins.s3;
+
+  const getHeaders = function () {
+    if (typeof exposeMetadata === 'function') {
+      return Promise.resolve(exposeMetadata(request, { bucket, key, metadata }));
+    }
+
+    return Object.keys(metadata)
+      .filter((name) => Helpers.hasMatch(exposeMetadata, name))
+      .reduce((memo, name) => Object.assign(memo, { [`x-amz-meta-${name}`]: metadata[name] }), {});
+  };
+
+  return Promise.resolve()
+    .then(getHeaders)
+    .then((headers) => Helpers.compactObject(headers || {}));
+};
+
+
 /**
  * Common Error Handling for the S3 Handler
  *
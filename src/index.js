@@ -1,8 +1,12 @@
+const Boom = require('boom');
 const Joi = require('joi');
 
 const Delete = require('./delete');
+const Helpers = require('./helpers');
+const Presign = require('./presign');
 const Schemas = require('./schemas');
 const Serve = require('./serve');
+const Tus = require('./tus');
 const Upload = require('./upload');
 const Pkg = require('../package.json');
 
@@ -14,33 +18,94 @@ const internals = {};
  */
 internals.handlers = {
   get: Serve.handler,
+  head: Serve.headHandler,
   post: Upload.handler,
+  put: Upload.putHandler,
   delete: Delete.handler
 };
 
 
 /**
- * s3 meta-handler definition
+ * Handler Lookup for routes with `tus` uploads, `HEAD` requests need a
+ * `GET` route
  */
-internals.handler = function (route, routeOptions) {
+internals.tusHandlers = {
+  head: Tus.headHandler,
+  post: Tus.createHandler,
+  patch: Tus.patchHandler,
+  delete: Tus.deleteHandler,
+  options: Tus.optionsHandler
+};
 
-  const handler = internals.handlers[route.method];
 
+/**
+ * Handler Lookup based on `request.method` and the route options
+ */
+internals.getHandler = function (request) {
+
+  const { method } = request;
+
+  if (Tus.isTus(request)) {
+    return internals.tusHandlers[method];
+  }
+
+  // direct uploads to S3
+  if (method === 'post' && Presign.isPresignedPost(request)) {
+    return Presign.handler;
+  }
+
+  if (method === 'post' && Presign.isConfirmUpload(request)) {
+    return Presign.confirmHandler;
+  }
+
+  return internals.handlers[method];
+};
+
+
+/**
+ * Dispatch based on `request.method`, as hapi routes `HEAD` requests to
+ * the `GET` route
+ */
+internals.dispatch = function (request, reply) {
+
+  const handler = internals.getHandler(request);
+
+  // `GET` requests of `tus` routes
   if (!handler) {
-    throw new Error(`s3 handler currently only supports: ${Object.keys(internals.allowedMethods)}`);
+    return reply(Boom.methodNotAllowed(`tus uploads do not support: ${request.method.toUpperCase()}`));
   }
 
+  return handler(request, reply);
+};
+
+
+/**
+ * s3 meta-handler definition
+ */
+internals.handler = function (route, routeOptions) {
+
   const valid = Joi.attempt(routeOptions, Schemas.routeOptionsSchema);
+  const handlers = valid.tus ? Object.assign({ get: null }, internals.tusHandlers) : internals.handlers;
+
+  if (!Object.keys(handlers).includes(route.method)) {
+    throw new Error(`s3 handler currently only supports: ${Object.keys(handlers)}`);
+  }
+
+  if (valid.atomicCreate === 'conditional' && !Helpers.supportsConditionalWrites()) {
+    throw new Error('s3 handler option `atomicCreate=conditional` needs aws-sdk 2.1679.0 or later');
+  }
 
   route.settings.plugins.s3 = valid;
   route.settings.plugins.s3.getMode = Schemas.getMode;
 
-  return internals.handlers[route.method];
+  return internals.dispatch;
 };
 
 
 internals.handler.defaults = (method) => {
-  return internals.handlers[method].defaults;
+  const handler = internals.handlers[method] || internals.tusHandlers[method];
+
+  return handler && handler.defaults;
 };
 
 
@@ -0,0 +1,250 @@
+/**
+ * Listing of S3 Objects under a prefix
+ */
+
+const Helpers = require('./helpers');
+
+const internals = {};
+const List = exports;
+
+
+/**
+ * resolves with a page of the `listObjectsV2` response
+ */
+internals.listObjects = function (request, bucket, prefix, params = {}) {
+
+  if (!bucket) {
+    return Promise.reject(Helpers.BadImplementationError('bucket should not be empty'));
+  }
+
+  const s3 = Helpers.getS3Client(request);
+
+  const listParams = Object.assign({}, params, {
+    Bucket: bucket,
+    Prefix: prefix
+  });
+
+  return new Promise((resolve, reject) => {
+
+    s3.listObjectsV2(listParams, (err, data) => {
+
+      if (err) {
+        return reject(Helpers.S3Error(err, { bucket, key: prefix }));
+      }
+
+      return resolve(data);
+    });
+  });
+};
+
+
+/**
+ * resolves with a page of the `listObjectVersions` response
+ */
+internals.listObjectVersions = function (request, bucket, prefix, params = {}) {
+
+  if (!bucket) {
+    return Promise.reject(Helpers.BadImplementationError('bucket should not be empty'));
+  }
+
+  const s3 = Helpers.getS3Client(request);
+
+  const listParams = Object.assign({}, params, {
+    Bucket: bucket,
+    Prefix: prefix
+  });
+
+  return new Promise((resolve, reject) => {
+
+    s3.listObjectVersions(listParams, (err, data) => {
+
+      if (err) {
+        return reject(Helpers.S3Error(err, { bucket, key: prefix }));
+      }
+
+      return resolve(data);
+    });
+  });
+};
+
+
+/**
+ * resolves with the requested page of the listing
+ *
+ * - `listVersions=false`: `continuationToken` query parameter
+ * - `listVersions=true`: `keyMarker` and `versionIdMarker` query parameters
+ *
+ * @resolves {Object} - the listing without `prefix` and `delimiter`
+ */
+internals.loadListing = function (request, bucket, prefix) {
+
+  const { delimiter, maxKeys, listVersions } = request.route.settings.plugins.s3;
+  const { continuationToken, keyMarker, versionIdMarker } = request.query;
+
+  const toObject = (object) => Helpers.compactObject({
+    key: object.Key,
+    versionId: listVersions ? object.VersionId : undefined,
+    isLatest: listVersions ? object.IsLatest : undefined,
+    size: object.Size,
+    etag: object.ETag,
+    lastModified: object.LastModified
+  });
+
+  const toFolders = (data) => (data.CommonPrefixes || []).map((folder) => folder.Prefix);
+
+  if (!listVersions) {
+    const params = Helpers.compactObject({
+      Delimiter: delimiter || undefined,
+      MaxKeys: maxKeys,
+      ContinuationToken: continuationToken
+    });
+
+    return internals.listObjects(request, bucket, prefix, params)
+      .then((data) => Helpers.compactObject({
+        objects: (data.Contents || []).map(toObject),
+        folders: toFolders(data),
+        isTruncated: Boolean(data.IsTruncated),
+        nextContinuationToken: data.NextContinuationToken
+      }));
+  }
+
+  const params = Helpers.compactObject({
+    Delimiter: delimiter || undefined,
+    MaxKeys: maxKeys,
+    KeyMarker: keyMarker,
+    VersionIdMarker: versionIdMarker
+  });
+
+  return internals.listObjectVersions(request, bucket, prefix, params)
+    .then((data) => Helpers.compactObject({
+      objects: (data.Versions || []).map(toObject),
+      deleteMarkers: (data.DeleteMarkers || []).map((marker) => Helpers.compactObject({
+        key: marker.Key,
+        versionId: marker.VersionId,
+        isLatest: marker.IsLatest,
+        lastModified: marker.LastModified
+      })),
+      folders: toFolders(data),
+      isTruncated: Boolean(data.IsTruncated),
+      nextKeyMarker: data.IsTruncated ? data.NextKeyMarker : undefined,
+      nextVersionIdMarker: data.IsTruncated ? data.NextVersionIdMarker : undefined
+    }));
+};
+
+
+/**
+ * tests if the request should be answered with a listing
+ *
+ * - `listing=true`: always list
+ * - `listing='auto'`: list if the resolved key or the request path ends with `/`
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {String} key - resolved S3 key
+ * @return {Boolean}
+ */
+List.isListing = function (request, key) {
+
+  const { listing } = request.route.settings.plugins.s3;
+
+  if (listing === 'auto') {
+    return key.endsWith('/') || request.path.endsWith('/');
+  }
+
+  return listing === true;
+};
+
+
+/**
+ * returns the prefix to list, the key is treated as a "folder" and (if not
+ * empty) always ends with the delimiter (or `/` if there is none)
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {String} key - resolved S3 key
+ * @return {String}
+ */
+List.getPrefix = function (request, key) {
+
+  const { delimiter } = request.route.settings.plugins.s3;
+  const separator = delimiter || '/';
+
+  if (!key || key.endsWith(separator)) {
+    return key;
+  }
+
+  return `${key}${separator}`;
+};
+
+
+/**
+ * resolves with a page of all keys under `prefix` (ignoring "folder" keys
+ * ending with `/`)
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {String} bucket
+ * @param {String} prefix
+ * @param {String} [continuationToken] - token of the next page
+ * @resolves {Object<{ keys, [nextContinuationToken] }>}
+ */
+List.listKeys = function (request, bucket, prefix, continuationToken) {
+
+  const params = Helpers.compactObject({ ContinuationToken: continuationToken });
+
+  return internals.listObjects(request, bucket, prefix, params)
+    .then((data) => ({
+      keys: (data.Contents || [])
+        .map((object) => object.Key)
+        .filter((key) => !key.endsWith('/')),
+      nextContinuationToken: data.IsTruncated ? data.NextContinuationToken : undefined
+    }));
+};
+
+
+/**
+ * reply with a JSON listing of the objects (or object versions) under
+ * `prefix` or delegate reply behaviour to `onResponse`
+ *
+ * - `request.query.continuationToken` resumes a truncated listing
+ * - `request.query.keyMarker` and `request.query.versionIdMarker` resume a
+ *   truncated version listing
+ */
+List.replyWithListing = function (request, reply, bucket, prefix) {
+
+  const { delimiter, onResponse } = request.route.settings.plugins.s3;
+
+  // load the requested page of the listing
+  const listObjects = function () {
+    return internals.loadListing(request, bucket, prefix);
+  };
+
+  // add the listed prefix
+  const toListing = function (page) {
+    return Object.assign(Helpers.compactObject({
+      prefix,
+      delimiter: delimiter || undefined
+    }), page);
+  };
+
+  // reply with the listing or delegate reply behaviour to `onResponse`
+  const replyListing = function (listing) {
+
+    // delegate reply if configured
+    if (onResponse) {
+      const options = {
+        bucket,
+        prefix,
+        defaultStatusCode: 200,
+        data: listing
+      };
+
+      return onResponse(/* error */null, /* res */listing, request, reply, options);
+    }
+
+    // default reply strategy
+    return reply(listing).code(200);
+  };
+
+  return Promise.resolve()
+    .then(listObjects)
+    .then(toListing)
+    .then(replyListing);
+};
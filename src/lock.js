@@ -0,0 +1,128 @@
+/**
+ * Upload locks for S3 compatible services without conditional writes
+ */
+
+const Crypto = require('crypto');
+
+const Boom = require('boom');
+
+const Helpers = require('./helpers');
+const List = require('./list');
+
+const internals = {};
+const Lock = exports;
+
+
+// markers of crashed uploads are ignored after an hour
+internals.timeout = 1000 * 60 * 60;
+
+// number of attempts to acquire a contended lock
+internals.attempts = 5;
+
+
+/**
+ * puts an empty marker object
+ */
+internals.putMarker = function (request, bucket, key) {
+
+  const s3 = Helpers.getS3Client(request);
+
+  return new Promise((resolve, reject) => {
+    s3.putObject({ Bucket: bucket, Key: key, Body: '' }, (err) => {
+
+      if (err) {
+        return reject(Helpers.S3Error(err, { bucket, key }));
+      }
+
+      return resolve();
+    });
+  });
+};
+
+
+/**
+ * deletes a marker object
+ */
+internals.deleteMarker = function (request, bucket, key) {
+
+  const s3 = Helpers.getS3Client(request);
+
+  return new Promise((resolve, reject) => {
+    s3.deleteObject({ Bucket: bucket, Key: key }, (err) => {
+
+      if (err) {
+        return reject(Helpers.S3Error(err, { bucket, key }));
+      }
+
+      return resolve();
+    });
+  });
+};
+
+
+/**
+ * tests if a marker (`<timestamp>-<id>`) is younger than the lock timeout
+ */
+internals.isActive = function (marker, now) {
+
+  const timestamp = parseInt(marker.slice(marker.lastIndexOf('/') + 1), 10);
+
+  return now - timestamp < internals.timeout;
+};
+
+
+/**
+ * acquires the lock for uploads to `key`
+ *
+ * - puts a marker `<lockPrefix><key>/<timestamp>-<id>` and lists the markers of the key
+ * - the lock is acquired if no other (active) marker exists, otherwise the marker is
+ *   removed again and acquiring is retried after a random delay
+ * - as S3 lists new objects immediately, two uploads can never both see only their own marker
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {String} bucket
+ * @param {String} key - the key to upload to
+ * @param {Object} [options]
+ * @param {String} [options.lockPrefix] - the prefix of the markers, defaults to the `lockPrefix` route option
+ * @resolves {Object<{ release }>} - release() -> Promise, removes the marker
+ * @reject - with 409 (Conflict) if the key is uploaded concurrently
+ */
+Lock.acquire = function (request, bucket, key, options = {}) {
+
+  const { lockPrefix = request.route.settings.plugins.s3.lockPrefix } = options;
+  const prefix = `${lockPrefix}${key}/`;
+
+  const release = function (marker) {
+    return internals.deleteMarker(request, bucket, marker);
+  };
+
+  const tryAcquire = function (attempt) {
+    const marker = `${prefix}${Date.now()}-${Crypto.randomBytes(8).toString('hex')}`;
+
+    const assertSingleMarker = function ({ keys }) {
+      const now = Date.now();
+      const others = keys.filter((other) => other !== marker && internals.isActive(other, now));
+
+      if (!others.length) {
+        return { release: () => release(marker) };
+      }
+
+      return release(marker)
+        .then(() => {
+          if (attempt >= internals.attempts) {
+            return Promise.reject(Boom.conflict(`the file s3://${bucket}/${key} is uploaded concurrently`));
+          }
+
+          // random delay, so contending uploads do not retry in lockstep
+          return new Promise((resolve) => setTimeout(resolve, Math.random() * 50 * attempt))
+            .then(() => tryAcquire(attempt + 1));
+        });
+    };
+
+    return internals.putMarker(request, bucket, marker)
+      .then(() => List.listKeys(request, bucket, prefix))
+      .then(assertSingleMarker);
+  };
+
+  return tryAcquire(1);
+};
@@ -0,0 +1,270 @@
+/**
+ * Direct uploads to S3 with presigned POST forms
+ */
+
+const Path = require('path');
+
+const Boom = require('boom');
+const ContentDisposition = require('content-disposition');
+
+const Helpers = require('./helpers');
+const Upload = require('./upload');
+
+const internals = {};
+const Presign = exports;
+
+
+/**
+ * tests if `POST` requests should be answered with a presigned POST form
+ *
+ * @param {Object} request - Hapi request Object
+ * @return {Boolean}
+ */
+Presign.isPresignedPost = function (request) {
+
+  const { presignedPost } = request.route.settings.plugins.s3;
+
+  return Boolean(presignedPost);
+};
+
+
+/**
+ * tests if `POST` requests confirm a direct upload
+ *
+ * @param {Object} request - Hapi request Object
+ * @return {Boolean}
+ */
+Presign.isConfirmUpload = function (request) {
+
+  const { confirmUpload } = request.route.settings.plugins.s3;
+
+  return Boolean(confirmUpload);
+};
+
+
+/**
+ * resolves with a presigned POST form for uploads to the given key
+ *
+ * - all fields are signed as exact match conditions
+ * - `maxSize` adds a `content-length-range` condition
+ *
+ * @param {Object} fields - form fields, e.g. `Content-Type`
+ * @resolves {Object<{ url, fields }>}
+ */
+internals.createPresignedPost = function (request, bucket, key, fields) {
+
+  if (!bucket || !key) {
+    return Promise.reject(Helpers.BadImplementationError('bucket or key should not be empty'));
+  }
+
+  const { presignedPost, signedUrlExpires } = request.route.settings.plugins.s3;
+  const s3 = Helpers.getS3Client(request);
+
+  const params = {
+    Bucket: bucket,
+    Fields: Object.assign({}, fields, { key }),
+    Conditions: presignedPost.maxSize ? [['content-length-range', 0, presignedPost.maxSize]] : [],
+    Expires: signedUrlExpires
+  };
+
+  return new Promise((resolve, reject) => {
+    s3.createPresignedPost(params, (err, data) => {
+
+      if (err) {
+        return reject(Helpers.S3Error(err, { bucket, key }));
+      }
+
+      return resolve(data);
+    });
+  });
+};
+
+
+/**
+ * s3 request-handler definition for `POST` requests with `presignedPost`,
+ * answers with a presigned POST form instead of uploading the payload
+ *
+ * - the key is resolved with the base name of the `filename` query parameter as file key
+ * - the `contentType` query parameter is checked and pinned by the policy
+ */
+Presign.handler = function (request, reply) {
+
+  const { contentType } = request.query;
+
+  // only the base name, so the key can not leave the prefix of the route (e.g. `../`)
+  const filename = request.query.filename ? Path.basename(request.query.filename) : undefined;
+
+  // resolve `bucket` and `key`
+  const getBucketAndKey = function () {
+    const { randomPostKeys: randomize } = request.route.settings.plugins.s3;
+
+    return Promise
+      .all([
+        Helpers.getBucket(request),
+        Helpers.getKey(request, { fileKey: filename, randomize })
+      ]);
+  };
+
+  // apply the `onConflict` mode if the file already exists (rejects with 409 by default),
+  // a lock cannot span the direct upload
+  const resolveConflict = function ([bucket, key]) {
+    return Upload.resolveConflict(request, bucket, key, 'error')
+      .then(({ key, conflict, lock }) => {
+        const release = lock ? lock.release() : null;
+
+        return Promise.resolve(release)
+          .then(() => [bucket, key, conflict]);
+      });
+  };
+
+  // resolve the content type and disposition from the query parameters
+  const getContentDispositionAndType = function ([bucket, key, conflict]) {
+    const disposition = filename ? ContentDisposition(filename) : undefined;
+
+    return Promise
+      .all([
+        Helpers.getContentType(request, bucket, key, { ContentType: contentType }),
+        Helpers.getContentDisposition(request, bucket, key, { ContentDisposition: disposition })
+      ])
+      .then(([type, disposition]) => [bucket, key, conflict, type, disposition]);
+  };
+
+  // check if content type is allowed, if necessary
+  const assertUploadIsValid = function ([bucket, key, conflict, type, disposition]) {
+    const { allowedContentTypes } = request.route.settings.plugins.s3;
+
+    if (allowedContentTypes && !Helpers.hasMatch(allowedContentTypes, type)) {
+      const msg = `for upload "${key}" "content-type" is not allowed to be: [${type}]`;
+      return Promise.reject(Boom.unsupportedMediaType(msg));
+    }
+
+    return [bucket, key, conflict, type, disposition];
+  };
+
+  // sign the form, the content type and disposition can not be changed by the client
+  const createPresignedPost = function ([bucket, key, conflict, type, disposition]) {
+    const fields = Helpers.compactObject({
+      'Content-Type': type,
+      'Content-Disposition': disposition
+    });
+
+    return internals.createPresignedPost(request, bucket, key, fields)
+      .then((data) => [bucket, key, conflict, data, type, disposition]);
+  };
+
+  // reply with the presigned form or delegate reply behaviour to `onResponse`
+  const replyWithForm = function ([bucket, key, conflict, data, type, disposition]) {
+    const { onResponse, signedUrlExpires } = request.route.settings.plugins.s3;
+
+    const payload = Helpers.compactObject({
+      url: data.url,
+      fields: data.fields,
+      key,
+      expires: new Date(Date.now() + (signedUrlExpires * 1000)).toISOString(),
+      conflict
+    });
+
+    // delegate reply if configured
+    if (onResponse) {
+      const options = Helpers.compactObject({
+        bucket,
+        key,
+        contentType: type,
+        contentDisposition: disposition,
+        conflict,
+        defaultStatusCode: 200,
+        data: payload
+      });
+
+      return onResponse(null, /* res */payload, request, reply, options);
+    }
+
+    // default reply strategy
+    return reply(payload).code(200);
+  };
+
+  return Promise.resolve()
+    .then(getBucketAndKey)
+    .then(resolveConflict)
+    .then(getContentDispositionAndType)
+    .then(assertUploadIsValid)
+    .then(createPresignedPost)
+    .then(replyWithForm)
+    .catch(Helpers.replyWithError(request, reply));
+};
+
+
+/**
+ * s3 request-handler definition for `POST` requests with `confirmUpload`,
+ * checks a direct upload to the key resolved from the request path
+ *
+ * - rejects with 404 (Not Found) if the object was not uploaded (yet)
+ * - confirmUpload(request, { bucket, key, metaData }) -> Promise, e.g. rejects
+ *   if the object does not pass the checks
+ */
+Presign.confirmHandler = function (request, reply) {
+
+  // resolve `bucket` and `key`
+  const getBucketAndKey = function () {
+    return Promise
+      .all([
+        Helpers.getBucket(request),
+        Helpers.getKey(request)
+      ]);
+  };
+
+  // load s3 object meta data (rejects with 404 if the file does not exist)
+  const getObjectMetaData = function ([bucket, key]) {
+    return Helpers.getObjectMetaData(request, bucket, key)
+      .then((objectMetaData) => [bucket, key, objectMetaData]);
+  };
+
+  // let the callback check the uploaded object
+  const confirmUpload = function ([bucket, key, objectMetaData]) {
+    const { confirmUpload } = request.route.settings.plugins.s3;
+
+    return Promise.resolve(confirmUpload(request, { bucket, key, metaData: objectMetaData }))
+      .then(() => [bucket, key, objectMetaData]);
+  };
+
+  // reply with the meta data of the object or delegate reply behaviour to `onResponse`
+  const replyConfirmed = function ([bucket, key, objectMetaData]) {
+    const { onResponse } = request.route.settings.plugins.s3;
+    const { ContentType: type, ContentLength: contentLength, ETag: etag } = objectMetaData;
+
+    const payload = Helpers.compactObject({
+      Bucket: bucket,
+      Key: key,
+      ContentType: type,
+      ContentLength: contentLength,
+      ETag: etag,
+      VersionId: objectMetaData.VersionId
+    });
+
+    // delegate reply if configured
+    if (onResponse) {
+      const options = Helpers.compactObject({
+        bucket,
+        key,
+        contentType: type,
+        contentLength,
+        etag,
+        versionId: objectMetaData.VersionId,
+        defaultStatusCode: 200,
+        data: payload
+      });
+
+      return onResponse(null, /* res */payload, request, reply, options);
+    }
+
+    // default reply strategy
+    return reply(payload).code(200);
+  };
+
+  return Promise.resolve()
+    .then(getBucketAndKey)
+    .then(getObjectMetaData)
+    .then(confirmUpload)
+    .then(replyConfirmed)
+    .catch(Helpers.replyWithError(request, reply));
+};
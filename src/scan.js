@@ -0,0 +1,144 @@
+/**
+ * Malware scanning of uploads, e.g. with a ClamAV daemon
+ */
+
+const Net = require('net');
+const Stream = require('stream');
+
+const Boom = require('boom');
+
+const internals = {};
+const Scan = exports;
+
+
+// defaults of the clamd `scan` route option
+internals.defaults = {
+  host: 'localhost',
+  timeout: 1000 * 60 // 1min
+};
+
+// clamd replies of the `zINSTREAM` command, terminated by `\0`
+internals.foundRx = /^stream: (.+) FOUND$/;
+internals.cleanRx = /^stream: OK$/;
+
+
+/**
+ * returns a stream framing the given file as clamd `INSTREAM` chunks: `<length><data>`,
+ * followed by a zero length chunk
+ *
+ * @param {Stream} file
+ * @return {Stream}
+ */
+internals.frameStream = function (file) {
+
+  const toLength = function (length) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(length, 0);
+
+    return buffer;
+  };
+
+  const framed = new Stream.Transform({
+    transform(chunk, encoding, next) {
+      return next(null, Buffer.concat([toLength(chunk.length), chunk]));
+    },
+
+    flush(done) {
+      return done(null, toLength(0));
+    }
+  });
+
+  file.once('error', (err) => framed.emit('error', err));
+
+  return file.pipe(framed);
+};
+
+
+/**
+ * creates a `scan` function sending files to a ClamAV daemon with the `INSTREAM` command
+ *
+ * @param {Object} options
+ * @param {String} [options.socket] - path of the unix socket
+ * @param {String} [options.host] - TCP host (default: `localhost`)
+ * @param {Number} [options.port] - TCP port
+ * @param {Number} [options.timeout] - milliseconds until an idle scan fails (default: 1min)
+ * @return {Function} - scan(stream) -> Promise<String|null>
+ */
+Scan.clamd = function (options) {
+
+  const { socket, host, port, timeout } = Object.assign({}, internals.defaults, options);
+
+  return function (file) {
+    return new Promise((resolve, reject) => {
+      const connection = Net.connect(socket ? { path: socket } : { host, port });
+      const chunks = [];
+      let isDone = false;
+
+      const finish = function (err, found) {
+        if (isDone) {
+          return;
+        }
+
+        isDone = true;
+        connection.destroy();
+
+        if (err) {
+          reject(err);
+        } else {
+          resolve(found);
+        }
+      };
+
+      // clamd replies as soon as the file is scanned (or exceeds its size limit)
+      const onReply = function () {
+        const reply = Buffer.concat(chunks).toString('utf8').split('\0')[0].trim();
+        const found = internals.foundRx.exec(reply);
+
+        if (found) {
+          return finish(null, found[1]);
+        }
+
+        if (internals.cleanRx.test(reply)) {
+          return finish(null, null);
+        }
+
+        return finish(Boom.serverUnavailable(`the malware scan failed: ${reply || 'no reply'}`));
+      };
+
+      connection.setTimeout(timeout, () => finish(Boom.serverUnavailable('the malware scan timed out')));
+      connection.on('error', (err) => finish(Boom.serverUnavailable(`the malware scan failed: ${err.message}`)));
+      connection.on('end', onReply);
+      connection.on('data', (chunk) => {
+        chunks.push(chunk);
+
+        if (chunk.includes(0)) {
+          onReply();
+        }
+      });
+
+      connection.once('connect', () => {
+        const framed = internals.frameStream(file);
+
+        framed.once('error', finish);
+        connection.write('zINSTREAM\0');
+        framed.pipe(connection, { end: false });
+      });
+    });
+  };
+};
+
+
+/**
+ * returns the `scan` function of the route
+ *
+ * - if function: scan(stream, { bucket, key, contentType }) -> Promise<String|null>
+ * - if object: scan with a ClamAV daemon, see `Scan.clamd`
+ *
+ * @return {Function}
+ */
+Scan.getScanner = function (request) {
+
+  const { scan } = request.route.settings.plugins.s3;
+
+  return typeof scan === 'function' ? scan : Scan.clamd(scan);
+};
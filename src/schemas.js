@@ -13,7 +13,8 @@ internals.Modes = Joi.valid([false, 'auto', 'attachment', 'inline']).default(int
 internals.ModeObject = Joi.object()
   .keys({
     get: internals.Modes,
-    post: internals.Modes
+    post: internals.Modes,
+    put: internals.Modes
   });
 
 
@@ -21,7 +22,8 @@ internals.ModeObject = Joi.object()
 Schemas.getMode = function (request) {
 
   const { mode } = request.route.settings.plugins.s3;
-  const { method } = request;
+  // `HEAD` requests are answered like `GET` requests
+  const method = request.method === 'head' ? 'get' : request.method;
 
   if (typeof mode !== 'object') {
     return mode;
@@ -37,11 +39,14 @@ Schemas.getMode = function (request) {
 Schemas.routeOptionsSchema = Joi.object()
   .keys({
     // If a string is provided it will be used as bucket name.
-    // If a function is provided, it should return or resolve the `bucket`.
-    //   - if function: bucket(request) -> Promise|String
+    // If an array is provided, `GET` and `HEAD` requests read from the first
+    // bucket that has the object (tried in order), other requests use the first bucket.
+    // If a function is provided, it should return or resolve the `bucket`(s).
+    //   - if function: bucket(request) -> Promise|String|Array<String>
     bucket: Joi.alternatives()
       .try(
         Joi.string(),
+        Joi.array().items(Joi.string()).min(1),
         Joi.func()
       )
       .required(),
@@ -62,28 +67,249 @@ Schemas.routeOptionsSchema = Joi.object()
       )
       .optional(),
 
+    // For `GET` requests, serve the bucket like a static website
+    // - `indexDocument`: served for keys or request paths ending with `/`
+    // - `errorDocument`: served with 404 (Not Found) if the key does not exist
+    // - `spa`: serve the root `indexDocument` with 200 (OK) if the key does not
+    //   exist, e.g. for client side routing of single page applications
+    // - documents are relative to `key` if it is a string
+    // - cannot be combined with `listing`
+    website: Joi.object()
+      .keys({
+        indexDocument: Joi.string().default('index.html'),
+        errorDocument: Joi.string().optional(),
+        spa: Joi.boolean().default(false)
+      })
+      .when('listing', {
+        is: Joi.valid(true, 'auto'),
+        then: Joi.forbidden()
+      }),
+
+    // For `GET` requests, how to deliver the s3 object
+    // - if `proxy`: stream the object through the server
+    // - if `redirect`: redirect to a presigned `getObject` url, which uses the resolved
+    //   content type and content disposition (`HEAD` requests are still answered directly)
+    // - objects encrypted with `sseCustomerKey` can only be proxied
+    delivery: Joi.valid(['proxy', 'redirect'])
+      .default('proxy')
+      .when('sseCustomerKey', {
+        is: Joi.exist(),
+        then: Joi.invalid('redirect')
+      }),
+
+    // for `delivery=redirect`: the status code of the redirect
+    redirectStatusCode: Joi.valid([302, 307]).default(302),
+
+    // for `delivery=redirect` and `presignedPost`: number of seconds until the presigned url (or form) expires
+    signedUrlExpires: Joi.number().integer().min(1).default(60 * 15),
+
+    // The S3 `VersionId` of the object for `GET`, `HEAD` and `DELETE` requests
+    // - if `true`: use the `versionId` query parameter
+    // - if function: versionId(request) -> Promise|String
+    // - if `false` or the resolved value is empty: use the latest version
+    // Responses include the `X-Version-Id` header, if S3 reports a version.
+    versionId: Joi.alternatives()
+      .try(
+        Joi.boolean(),
+        Joi.func()
+      )
+      .default(false),
+
     // If set, randomizes the S3 Key (basename) for POST request
     randomPostKeys: Joi.boolean().optional(),
 
+    // for `POST` and `PUT` requests, how to handle uploads to existing keys
+    // - `error` (default for `POST`): reject with 409 (Conflict)
+    // - `replace` (default for `PUT`): overwrite the existing object (on versioned buckets, a new version is created)
+    // - `rename`: upload to the first free key, adding ` (1)`, ` (2)`, ... before the extension
+    // - if function: onConflict(request, { bucket, key, metaData }) -> Promise|String
+    //   - `metaData`: S3 object meta data of the existing object
+    //   - resolves with one of the modes above
+    // - the applied mode is reported as `Conflict` in the upload response and as `conflict` to `onResponse`
+    onConflict: Joi.alternatives()
+      .try(
+        Joi.valid('error', 'replace', 'rename'),
+        Joi.func()
+      )
+      .optional(),
+
+    // for `POST` and `PUT` requests, how uploads to new keys are protected against concurrent uploads
+    // - `false` (default): not protected, two concurrent uploads can both pass the check of the key, enable
+    //   one of the modes below for routes which rely on create-only uploads
+    // - `conditional`: upload with `If-None-Match: *`, S3 rejects the upload if the key was created meanwhile
+    //   (needs S3 conditional writes and aws-sdk 2.1679.0 or later, S3 compatible services might reject
+    //   every upload)
+    // - `lock`: for S3 compatible services without conditional writes, acquire a lock (marker objects
+    //   under `lockPrefix`) before checking the key and release it after the upload
+    // - a lost race is answered with 409 (Conflict), not needed if existing objects are always replaced
+    atomicCreate: Joi.valid(false, 'conditional', 'lock').default(false),
+
+    // for `atomicCreate=lock`, the prefix of the lock markers: `<lockPrefix><key>/<marker>`
+    lockPrefix: Joi.string()
+      .when('atomicCreate', {
+        is: 'lock',
+        then: Joi.default('.locks/'),
+        otherwise: Joi.forbidden()
+      }),
+
+    // Resumable uploads with the tus protocol (v1.0.0), backed by S3 multipart uploads
+    // - `POST` creates an upload, `HEAD` reports its offset (the route needs `GET`), `PATCH` appends
+    //   to it, `DELETE` terminates it and `OPTIONS` reports the supported extensions
+    // - the key is resolved like for `POST` requests, with the `filename` of the `Upload-Metadata` as
+    //   file key, `filetype` is used as content type and `onConflict` is applied on creation
+    // - the upload state is stored in the bucket: `<prefix><id>.info` and `<prefix><id>.part`
+    //   (received bytes which do not fill a part yet)
+    // - if object:
+    //   - `prefix`: prefix of the upload state objects (default: `.tus/`)
+    //   - `maxSize`: maximum upload length in bytes, larger uploads are rejected with 413 (Payload Too Large)
+    //   - `expires`: milliseconds until an upload expires (default: 24h), expired uploads are answered
+    //     with 410 (Gone), their multipart uploads are aborted on the next creation
+    //   - `partSize`: size of the S3 parts in bytes (default and minimum: 5MB)
+    // - `onResponse` is only called for errors, other responses are defined by the protocol
+    // - cannot be combined with `scan` or `sseCustomerKey`
+    tus: Joi.alternatives()
+      .when('scan', {
+        is: Joi.exist(),
+        then: Joi.valid(false)
+      })
+      .when('sseCustomerKey', {
+        is: Joi.exist(),
+        then: Joi.valid(false),
+        otherwise: Joi.alternatives().try(
+          Joi.boolean(),
+          Joi.object().keys({
+            prefix: Joi.string().optional(),
+            maxSize: Joi.number().integer().min(0).optional(),
+            expires: Joi.number().integer().min(1).optional(),
+            partSize: Joi.number().integer().min(1024 * 1024 * 5).optional()
+          })
+        )
+      }),
+
+    // For `POST` requests, reply with a presigned POST form (`url` and `fields`) for
+    // uploads from the client directly to S3, instead of uploading the payload
+    // - the key is resolved with the base name of the `filename` query parameter as file key (and `randomPostKeys`)
+    // - the `contentType` query parameter is checked against `allowedContentTypes`, the resolved
+    //   content type and disposition are signed as exact match conditions
+    // - `onConflict` is applied when signing, the form expires after `signedUrlExpires`
+    // - if object:
+    //   - `maxSize`: maximum size of the upload in bytes (`content-length-range` condition)
+    // - cannot be combined with `tus`, `confirmUpload`, `scan` or `sseCustomerKey`
+    presignedPost: Joi.alternatives()
+      .when('tus', {
+        is: Joi.exist().invalid(false),
+        then: Joi.valid(false)
+      })
+      .when('scan', {
+        is: Joi.exist(),
+        then: Joi.valid(false)
+      })
+      .when('sseCustomerKey', {
+        is: Joi.exist(),
+        then: Joi.valid(false),
+        otherwise: Joi.alternatives().try(
+          Joi.boolean(),
+          Joi.object().keys({
+            maxSize: Joi.number().integer().min(0).optional()
+          })
+        )
+      }),
+
+    // For `POST` requests, confirm a direct upload (e.g. with `presignedPost`) to the key resolved
+    // like for `PUT` requests, instead of uploading the payload
+    // - confirmUpload(request, { bucket, key, metaData }) -> Promise
+    //   - `metaData`: S3 object meta data of the uploaded object
+    //   - rejects if the object does not pass the checks (e.g. with a Boom error)
+    // - objects which were not uploaded (yet) are answered with 404 (Not Found)
+    // - replies with the `Bucket`, `Key`, `ContentType`, `ContentLength`, `ETag` and `VersionId` of the object
+    confirmUpload: Joi.func()
+      .when('tus', {
+        is: Joi.exist().invalid(false),
+        then: Joi.forbidden()
+      })
+      .when('presignedPost', {
+        is: Joi.exist().invalid(false),
+        then: Joi.forbidden()
+      }),
+
+    // For `GET` requests, reply with a JSON listing of the objects under the
+    // resolved key (used as prefix) instead of serving a single object.
+    // - if `false`: never list
+    // - if `true`: always list
+    // - if `auto`: list if the resolved key or the request path ends with `/`
+    // Truncated listings can be continued with the `continuationToken` query parameter.
+    listing: Joi.valid([false, true, 'auto']).default(false),
+
+    // for listings, group keys containing the delimiter after the prefix into `folders`
+    // - if `false` or `''`: list all keys under the prefix
+    delimiter: Joi.string()
+      .allow(false, '')
+      .when('listing', {
+        is: false,
+        then: Joi.forbidden(),
+        otherwise: Joi.default('/')
+      }),
+
+    // for listings, list all versions of the objects (`listObjectVersions`) including delete markers,
+    // truncated version listings can be continued with the `keyMarker` and `versionIdMarker` query parameters
+    listVersions: Joi.boolean()
+      .when('listing', {
+        is: false,
+        then: Joi.forbidden(),
+        otherwise: Joi.default(false)
+      }),
+
+    // for listings, the maximum number of keys per page (S3 allows up to 1000)
+    maxKeys: Joi.number().integer().min(1).max(1000)
+      .when('listing', {
+        is: false,
+        then: Joi.forbidden()
+      }),
+
+    // For `GET` requests, reply with a ZIP archive of multiple objects, which is
+    // built on the fly from the objects' streams
+    // - if `true`: archive all objects under the resolved key (used as prefix)
+    // - if object: archive the keys resolved by `keys` instead
+    //   - keys(request, { bucket, prefix }) -> Promise|Array<String>
+    // - entry names are resolved with `filename` (defaults to the key relative to the prefix)
+    // - the archive is named `<prefix|bucket>.zip` and passed through the content disposition logic
+    // - cannot be combined with `listing` or `website`
+    archive: Joi.alternatives()
+      .when('listing', {
+        is: Joi.valid(true, 'auto'),
+        then: Joi.valid(false)
+      })
+      .when('website', {
+        is: Joi.exist(),
+        then: Joi.valid(false),
+        otherwise: Joi.alternatives().try(
+          Joi.boolean(),
+          Joi.object().keys({
+            keys: Joi.func().required()
+          })
+        )
+      }),
+
     // Specifies whether to include the Content-Disposition header.
     // - if `false`: no content-disposition header will be set
     // - if `auto`:
     //   - for 'GET':
     //     - try to load header from S3 directly
     //     - try 'attachment'
-    //   - for 'POST'
+    //   - for 'POST' and 'PUT'
     //     - try 'attachement'
     // - if `attachment`: content-disposition will always be set to 'attachment'
     // - if `inline`: content-disposition will always be set to 'inline'
-    // - if `<object>`: key=['get', 'post', ...] value=<mode>
+    // - if `<object>`: key=['get', 'post', 'put', ...] value=<mode>
     mode: internals.Modes.valid(internals.ModeObject),
 
     // Get the `filename` for the content-disposition header.
     // If given, the function should return or resolve the `filename`.
     // `filename` will then be added to the Content-Disposition header.
     // [@see Content-Disposition](https://www.w3.org/Protocols/rfc2616/rfc2616-sec19.html#sec19.5.1)
-    // - if function: filename(request, { bucket, key, [filename] }) -> Promise|String
+    // - if function: filename(request, { bucket, key, [filename], [metadata] }) -> Promise|String
     //   - `filename`: content dispostion file name on S3 / POST form data
+    //   - `metadata`: S3 user meta data (`x-amz-meta-*`) of the served object
     // - if not given:
     //   - if mode=auto: use the S3 ContentType / FormData if exists
     //   - if mode=attachment|inline: use the key's basenamece
@@ -98,7 +324,7 @@ Schemas.routeOptionsSchema = Joi.object()
     // example: { "application/octet-stream" : "application/pdf" }
     overrideContentTypes: Joi.object().optional().default({}),
 
-    // for `POST` requests, check if the content type is allowed to be uploaded
+    // for `POST` and `PUT` requests, check if the content type is allowed to be uploaded
     // - if `undefined` is part of the list, also allow if no content type was found / will be set
     allowedContentTypes: Joi.array()
       .items(
@@ -109,6 +335,18 @@ Schemas.routeOptionsSchema = Joi.object()
       .optional()
       .description('list of allowed content-types'),
 
+    // for `POST` and `PUT` requests, check the content type against the first bytes of the file,
+    // rejects with 415 (Unsupported Media Type) if they don't match, e.g. HTML uploaded as `image/png`
+    // - detects common formats, e.g. PDF, PNG, JPEG, GIF, ZIP (and Office documents), HTML and SVG
+    // - missing and generic content types (`application/octet-stream`) match every format
+    // - if `detected`: upload with the detected content type, if any (checked against `allowedContentTypes`)
+    sniffContentType: Joi.alternatives()
+      .try(
+        Joi.boolean(),
+        Joi.valid('detected')
+      )
+      .optional(),
+
     // for `POST` requets, don't try to upload FormData entries with
     // the given names
     ignoredFormKeys: Joi.array()
@@ -118,10 +356,88 @@ Schemas.routeOptionsSchema = Joi.object()
       )
       .description('list of ignored form entries based on the form key'),
 
+    // for `POST` and `PUT` requests, the maximum size of a single file in bytes, the upload is
+    // aborted with 413 (Payload Too Large) as soon as the file exceeds the limit
+    // - if number: use as is
+    // - if function: maxFileSize(request, { bucket, key, [contentType] }) -> Promise|Number
+    //   - resolve `undefined` to not limit the file
+    // - the whole request is still limited by hapi's `payload.maxBytes`
+    maxFileSize: Joi.alternatives()
+      .try(
+        Joi.number().integer().min(0),
+        Joi.func()
+      )
+      .optional(),
+
+    // for `POST` requests, the maximum number of files (ignoring `ignoredFormKeys`),
+    // rejects with 413 (Payload Too Large) before uploading any file
+    maxFiles: Joi.number().integer().min(1).optional(),
+
+    // for `POST` requests, the maximum size of all files in bytes, the upload is
+    // aborted with 413 (Payload Too Large) as soon as the files exceed the limit
+    maxTotalSize: Joi.number().integer().min(0).optional(),
+
+    // for `POST` requests, upload all files or none: on the first failure, the files still uploading are
+    // aborted (with their multipart uploads) and the uploaded files are deleted
+    // - the error payload reports the rollback: `rollback: { deleted, aborted, replaced, failed }`,
+    //   lists of `{ file, key }`
+    //   - `replaced`: files which replaced an object of an unversioned bucket (`onConflict=replace`), they are
+    //     not deleted as the replaced object cannot be restored (on versioned buckets, the uploaded version
+    //     is deleted, which restores the replaced one)
+    //   - `failed`: uploaded files which could not be deleted
+    atomic: Joi.boolean().optional(),
+
+    // for `POST` requests, keep uploading after failures of single files and reply with 207 (Multi-Status)
+    // - the payload is keyed by the FormData keys: the upload response or `{ error }` with the payload
+    //   of the Boom error (`statusCode`, `error`, `message`), e.g. for conflicts, disallowed content types,
+    //   exceeded limits or S3 errors
+    // - errors of the whole request (e.g. `maxFiles` or no multipart request) are still replied as errors
+    // - `onResponse` gets the failures as `failures: [{ file, error }]`
+    // - cannot be combined with `atomic`
+    partialSuccess: Joi.boolean()
+      .when('atomic', {
+        is: true,
+        then: Joi.valid(false)
+      }),
+
+    // for `POST` and `PUT` requests, scan the files for malware before publishing them
+    // - files are uploaded to `<quarantinePrefix><id>/<key>` first, scanned and copied to the key if clean,
+    //   the quarantined object is deleted in any case
+    // - infected files are rejected with 422 (Unprocessable Entity), naming what was found
+    // - if function: scan(stream, { bucket, key, [contentType] }) -> Promise<String|null>
+    //   - resolve the name of the found malware or `null` if the file is clean
+    // - if object: scan with a ClamAV daemon (`clamd`) and its `INSTREAM` command
+    //   - `socket`: path of the unix socket or `port` (and `host`, default: `localhost`) of the TCP socket
+    //   - `timeout`: milliseconds until an idle scan fails with 503 (default: 1min)
+    // - cannot be combined with `tus`, `presignedPost` or `sseCustomerKey`
+    scan: Joi.alternatives()
+      .when('sseCustomerKey', {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: Joi.alternatives().try(
+          Joi.func(),
+          Joi.object().keys({
+            socket: Joi.string(),
+            host: Joi.string().optional(),
+            port: Joi.number().integer().min(1).max(65535),
+            timeout: Joi.number().integer().min(1).optional()
+          }).xor('socket', 'port')
+        )
+      }),
+
+    // for `scan`, the prefix of the quarantined uploads: `<quarantinePrefix><id>/<key>`
+    quarantinePrefix: Joi.string()
+      .when('scan', {
+        is: Joi.exist(),
+        then: Joi.default('.quarantine/'),
+        otherwise: Joi.forbidden()
+      }),
+
     // Set the content-type header to the given value.
     // - if string: use as is
-    // - if function: contentType(request, { bucket, key, [contentType] }) -> Promise|String
+    // - if function: contentType(request, { bucket, key, [contentType], [metadata] }) -> Promise|String
     //   - `contentType`: content type on S3 / POST form data
+    //   - `metadata`: S3 user meta data (`x-amz-meta-*`) of the served object
     // - if not given:
     //   - use the S3 ContentType / FormData if exists
     contentType: Joi.alternatives()
@@ -131,16 +447,70 @@ Schemas.routeOptionsSchema = Joi.object()
       )
       .optional(),
 
+    // Set the caching headers (Cache-Control, Expires) for `GET` and `HEAD` requests.
+    // - if not given: use the S3 CacheControl and Expires if exists
+    // - if `false`: don't set caching headers
+    // - if string: use as Cache-Control header (S3 Expires is ignored)
+    // - if function: cacheControl(request, { bucket, key, metaData }) -> Promise|String|Bool|null
+    //   - `metaData`: S3 object meta data (e.g. `ContentType`, `CacheControl`, `Expires`)
+    //   - resolving `null` or `undefined` uses the S3 values, `false` disables the headers
+    cacheControl: Joi.alternatives()
+      .try(
+        Joi.string(),
+        Joi.valid(false),
+        Joi.func()
+      )
+      .optional(),
+
+    // Expose the S3 user meta data (`x-amz-meta-*`) as headers for `GET` and `HEAD` requests
+    // - if array: expose the entries with matching names as `x-amz-meta-<name>` headers
+    // - if function: exposeMetadata(request, { bucket, key, metadata }) -> Promise|Object|null
+    //   - resolves with the headers to set, e.g. `{ 'X-Author': metadata.author }`
+    // - the full meta data is always passed to `onResponse` as `metadata`
+    exposeMetadata: Joi.alternatives()
+      .try(
+        Joi.array().items(
+          Joi.object().type(RegExp),
+          Joi.string()
+        ),
+        Joi.func()
+      )
+      .optional(),
+
+    // Encrypt (`POST`, `PUT`) and decrypt (`GET`, `HEAD`) the objects with a customer provided key (SSE-C)
+    // - sseCustomerKey(request, { bucket, key }) -> Promise|Buffer|String|null
+    //   - the 256 bit key as Buffer or base64 encoded String
+    //   - resolving `null` or `undefined` does not use a customer provided key
+    // - missing or wrong keys are answered with 400 (Bad Request) or 403 (Forbidden)
+    // - requires `sslEnabled`, the key is not sent over HTTP
+    sseCustomerKey: Joi.func().optional(),
+
     // on response handler to update the response
     // - onResponse(error, res, request, reply, options) -> void
     //   - res:
-    //     - "GET": file object stream
+    //     - "GET": file object stream, the listing if `listing` is enabled, the zip stream if `archive` is enabled
+    //       or the presigned url for `delivery=redirect`
+    //     - "HEAD": null
     //     - "POST": S3 Response, extended with ContentType and ContentDisposition if possible
+    //       the presigned form for `presignedPost` or the meta data of the object for `confirmUpload`
+    //     - "PUT": S3 Response, extended with ContentType and ContentDisposition if possible
     //     - "DELETE": null
     //   - options:
-    //     - "GET": Object<{ bucket, key, contentType, contentDisposition, defaultStatusCode, data }>
-    //     - "POST": Object<{ uploads: Array<Object<{ file: String, bucket, key, contentType, contentDisposition, defaultStatusCode, data }>> }>
-    //     - "DELETE": Object<{ bucket, key, defaultStatusCode, data, s3Response }>
+    //     - "GET": Object<{ bucket, key, contentType, contentDisposition, [contentRange], [contentLength], etag, lastModified, [versionId], [metadata], [location], cacheControl, expires, defaultStatusCode, data }>
+    //       - `contentRange` is only set for range requests (206), `contentLength` is the size of the served body (not set for redirects)
+    //       - `res` and `data` are `null` for conditional requests answered with 304 (Not Modified)
+    //       - for listings: Object<{ bucket, prefix, defaultStatusCode, data }>
+    //       - for archives: Object<{ bucket, prefix, [keys], contentType, contentDisposition, defaultStatusCode, data }>
+    //       - for websites, `key` is the served document and `defaultStatusCode` 404 for error documents
+    //       - for `delivery=redirect`, `res` and `data` are the presigned url (`location`)
+    //     - "HEAD": Object<{ bucket, key, contentType, contentDisposition, contentLength, etag, lastModified, [versionId], [metadata], cacheControl, expires, defaultStatusCode, data }>
+    //     - "POST": Object<{ uploads: Array<Object<{ file: String, bucket, key, contentType, contentDisposition, [conflict], defaultStatusCode, data }>> }>
+    //       - for `partialSuccess`: also `failures: Array<Object<{ file: String, error }>>`, `defaultStatusCode` is 207 (Multi-Status)
+    //       - for `presignedPost`: Object<{ bucket, key, contentType, contentDisposition, [conflict], defaultStatusCode, data }>
+    //       - for `confirmUpload`: Object<{ bucket, key, contentType, contentLength, etag, [versionId], defaultStatusCode, data }>
+    //     - "PUT": Object<{ bucket, key, contentType, contentDisposition, [conflict], [versionId], defaultStatusCode, data }>
+    //       - `defaultStatusCode` is 201 (Created) for new objects and 200 (OK) for replaced ones
+    //     - "DELETE": Object<{ bucket, key, [versionId], defaultStatusCode, data, s3Response }>
     onResponse: Joi.func().description('custom reply function'),
 
     // bucket's region (defaults to us-standard: us-east-1)
@@ -163,13 +533,66 @@ internals.ReponsePostS3ResponseSchema = Joi.object()
   .keys({
     Location: Joi.string().required().description('s3 upload location'),
     ContentType: Joi.string().description('s3 content type'),
-    ContentDisposition: Joi.string().description('s3 content dispostion')
+    ContentDisposition: Joi.string().description('s3 content dispostion'),
+    ContentMD5: Joi.string().description('base64 MD5 digest of the file'),
+    ContentSHA256: Joi.string().description('base64 SHA-256 digest of the file'),
+    Conflict: Joi.valid('replace', 'rename').description('applied `onConflict` mode, if the key already existed')
   })
   .unknown(true)
   .required()
   .description('s3 reponse of the upload request');
 
 
+internals.ResponsePostFailureSchema = Joi.object()
+  .keys({
+    error: Joi.object()
+      .keys({
+        statusCode: Joi.number().integer().required(),
+        error: Joi.string().required(),
+        message: Joi.string().optional()
+      })
+      .unknown(true)
+      .required()
+  })
+  .description('payload of the Boom error of a failed upload (`partialSuccess`)');
+
+
+/**
+ * Schema Definition of a listing
+ */
+Schemas.ListingSchema = Joi.object()
+  .keys({
+    prefix: Joi.string().allow('').required().description('listed s3 prefix'),
+    delimiter: Joi.string().optional(),
+    objects: Joi.array()
+      .items(Joi.object().keys({
+        key: Joi.string().required().description('s3 key'),
+        versionId: Joi.string().optional().description('for `listVersions`'),
+        isLatest: Joi.boolean().optional().description('for `listVersions`'),
+        size: Joi.number().integer().required(),
+        etag: Joi.string().optional(),
+        lastModified: Joi.date().optional()
+      }))
+      .required(),
+    deleteMarkers: Joi.array()
+      .items(Joi.object().keys({
+        key: Joi.string().required().description('s3 key'),
+        versionId: Joi.string().required(),
+        isLatest: Joi.boolean().optional(),
+        lastModified: Joi.date().optional()
+      }))
+      .optional()
+      .description('for `listVersions`'),
+    folders: Joi.array().items(Joi.string()).required().description('common prefixes'),
+    isTruncated: Joi.boolean().required(),
+    nextContinuationToken: Joi.string().optional().description('pass as `continuationToken` to load the next page'),
+    nextKeyMarker: Joi.string().optional().description('for `listVersions`, pass as `keyMarker` to load the next page'),
+    nextVersionIdMarker: Joi.string().optional()
+      .description('for `listVersions`, pass as `versionIdMarker` to load the next page')
+  })
+  .description('listing of the objects under a prefix');
+
+
 /**
  * Reply Response Schema Definition
  */
@@ -178,10 +601,37 @@ Schemas.ResponseSchema = {
     .required()
     .description('s3 response file stream'),
 
+  head: Joi.only(null),
+
   post: Joi.object()
     .unknown(true)
-    .pattern(/.*/, internals.ReponsePostS3ResponseSchema)
-    .description('Object keyed by the FormData keys, where the values are S3 upload responses'),
+    .pattern(/.*/, Joi.alternatives().try(internals.ReponsePostS3ResponseSchema, internals.ResponsePostFailureSchema))
+    .description('Object keyed by the FormData keys, where the values are S3 upload responses (or failures)'),
+
+  put: internals.ReponsePostS3ResponseSchema,
+
+  presign: Joi.object()
+    .keys({
+      url: Joi.string().required().description('url to post the form to'),
+      fields: Joi.object().required().description('signed form fields, the file is appended as `file`'),
+      key: Joi.string().required().description('s3 key'),
+      expires: Joi.string().isoDate().required().description('expiry of the form'),
+      conflict: Joi.valid('replace', 'rename').description('applied `onConflict` mode, if the key already existed')
+    })
+    .required()
+    .description('presigned POST form for direct uploads'),
+
+  confirm: Joi.object()
+    .keys({
+      Bucket: Joi.string().required(),
+      Key: Joi.string().required(),
+      ContentType: Joi.string(),
+      ContentLength: Joi.number().integer(),
+      ETag: Joi.string(),
+      VersionId: Joi.string()
+    })
+    .required()
+    .description('meta data of the confirmed object'),
 
   delete: Joi.only(null)
 };
@@ -209,11 +659,41 @@ internals.onResponseOptionsSchema = {
   get: Joi.object()
     .keys(internals.onResponseOptionsCommonKeys)
     .keys({
-      defaultStatusCode: Joi.only(200),
+      contentRange: Joi.string().optional().description('Content-Range header of a partial response'),
+      contentLength: Joi.number().integer().optional().description('Content-Length of the served body'),
+      etag: Joi.string().optional().description('ETag header of the s3 object'),
+      lastModified: Joi.string().optional().description('Last-Modified header of the s3 object'),
+      versionId: Joi.string().optional().description('version of the s3 object'),
+      metadata: Joi.object().optional().description('s3 user meta data (`x-amz-meta-*`)'),
+      location: Joi.string().optional().description('presigned url for `delivery=redirect`'),
+      cacheControl: Joi.string().optional().description('Cache-Control header'),
+      expires: Joi.string().optional().description('Expires header'),
+      defaultStatusCode: Joi.only(200, 206, 302, 304, 307, 404),
       data: Schemas.ResponseSchema.get
     })
     .required(),
 
+  list: Joi.object()
+    .keys({
+      bucket: Joi.string().required().description('s3 bucket'),
+      prefix: Joi.string().allow('').required().description('listed s3 prefix'),
+      defaultStatusCode: Joi.only(200),
+      data: Schemas.ListingSchema.required()
+    })
+    .required(),
+
+  archive: Joi.object()
+    .keys({
+      bucket: Joi.string().required().description('s3 bucket'),
+      prefix: Joi.string().allow('').required().description('archived s3 prefix'),
+      keys: Joi.array().items(Joi.string()).optional().description('archived s3 keys, if resolved by `archive.keys`'),
+      contentType: Joi.only('application/zip'),
+      contentDisposition: Joi.string().optional(),
+      defaultStatusCode: Joi.only(200),
+      data: Joi.any().required().description('zip archive stream')
+    })
+    .required(),
+
   post: Joi.object()
     .keys({
       uploads: Joi.array()
@@ -221,16 +701,72 @@ internals.onResponseOptionsSchema = {
           .keys(Helpers.omit(internals.onResponseOptionsCommonKeys, ['defaultStatusCode']))
           .keys({
             file: Joi.string().required().description('FormData key'),
+            conflict: Joi.valid('replace', 'rename').optional().description('applied `onConflict` mode'),
             data: internals.ReponsePostS3ResponseSchema
           })
         ),
-      defaultStatusCode: Joi.only(201)
+      failures: Joi.array()
+        .items(Joi.object()
+          .keys({
+            file: Joi.string().required().description('FormData key'),
+            error: Joi.object().required().description('Boom error')
+          })
+        )
+        .optional()
+        .description('failed uploads for `partialSuccess`'),
+      defaultStatusCode: Joi.only(201, 207)
+    })
+    .required(),
+
+  presign: Joi.object()
+    .keys(internals.onResponseOptionsCommonKeys)
+    .keys({
+      conflict: Joi.valid('replace', 'rename').optional().description('applied `onConflict` mode'),
+      defaultStatusCode: Joi.only(200),
+      data: Schemas.ResponseSchema.presign
+    })
+    .required(),
+
+  confirm: Joi.object()
+    .keys(Helpers.omit(internals.onResponseOptionsCommonKeys, ['contentDisposition']))
+    .keys({
+      contentLength: Joi.number().integer().optional().description('size of the s3 object'),
+      etag: Joi.string().optional().description('ETag header of the s3 object'),
+      versionId: Joi.string().optional().description('version of the s3 object'),
+      defaultStatusCode: Joi.only(200),
+      data: Schemas.ResponseSchema.confirm
+    })
+    .required(),
+
+  put: Joi.object()
+    .keys(internals.onResponseOptionsCommonKeys)
+    .keys({
+      conflict: Joi.valid('replace', 'rename').optional().description('applied `onConflict` mode'),
+      versionId: Joi.string().optional().description('version of the uploaded s3 object'),
+      defaultStatusCode: Joi.only(200, 201),
+      data: Schemas.ResponseSchema.put
+    })
+    .required(),
+
+  head: Joi.object()
+    .keys(internals.onResponseOptionsCommonKeys)
+    .keys({
+      contentLength: Joi.number().integer().optional().description('size of the s3 object'),
+      etag: Joi.string().optional().description('ETag header of the s3 object'),
+      lastModified: Joi.string().optional().description('Last-Modified header of the s3 object'),
+      versionId: Joi.string().optional().description('version of the s3 object'),
+      metadata: Joi.object().optional().description('s3 user meta data (`x-amz-meta-*`)'),
+      cacheControl: Joi.string().optional().description('Cache-Control header'),
+      expires: Joi.string().optional().description('Expires header'),
+      defaultStatusCode: Joi.only(200, 304, 404),
+      data: Schemas.ResponseSchema.head
     })
     .required(),
 
   delete: Joi.object()
     .keys(Helpers.omit(internals.onResponseOptionsCommonKeys, ['contentType', 'contentDisposition']))
     .keys({
+      versionId: Joi.string().optional().description('deleted version or version of the created delete marker'),
       defaultStatusCode: Joi.only(204),
       data: Schemas.ResponseSchema.delete,
       s3Response: Joi.object()
@@ -257,6 +793,8 @@ Schemas.onResponseParamsSchema = {
       Joi.any().optional().description('request'),
       Joi.alternatives().try([
         internals.onResponseOptionsSchema.get,
+        internals.onResponseOptionsSchema.list,
+        internals.onResponseOptionsSchema.archive,
         Joi.only(null)
       ])
     )
@@ -267,12 +805,48 @@ Schemas.onResponseParamsSchema = {
       Joi.any().optional().description('error'),
       Joi.alternatives().try([
         Schemas.ResponseSchema.post,
+        Schemas.ResponseSchema.presign,
+        Schemas.ResponseSchema.confirm,
         Joi.only(null)
       ]),
       Joi.any().optional().description('reply'),
       Joi.any().optional().description('request'),
       Joi.alternatives().try([
         internals.onResponseOptionsSchema.post,
+        internals.onResponseOptionsSchema.presign,
+        internals.onResponseOptionsSchema.confirm,
+        Joi.only(null)
+      ])
+    )
+    .required(),
+
+  put: Joi.array()
+    .ordered(
+      Joi.any().optional().description('error'),
+      Joi.alternatives().try([
+        Schemas.ResponseSchema.put,
+        Joi.only(null)
+      ]),
+      Joi.any().optional().description('reply'),
+      Joi.any().optional().description('request'),
+      Joi.alternatives().try([
+        internals.onResponseOptionsSchema.put,
+        Joi.only(null)
+      ])
+    )
+    .required(),
+
+  head: Joi.array()
+    .ordered(
+      Joi.any().optional().description('error'),
+      Joi.alternatives().try([
+        Schemas.ResponseSchema.head,
+        Joi.only(null)
+      ]),
+      Joi.any().optional().description('reply'),
+      Joi.any().optional().description('request'),
+      Joi.alternatives().try([
+        internals.onResponseOptionsSchema.head,
         Joi.only(null)
       ])
     )
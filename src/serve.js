@@ -2,96 +2,854 @@
  * Handler for serving files from S3
  */
 
-const { PassThrough } = require('stream');
-
 const Boom = require('boom');
 
+const Archive = require('./archive');
+const Digest = require('./digest');
 const Helpers = require('./helpers');
+const List = require('./list');
+const Website = require('./website');
 
 const internals = {};
 const Serve = exports;
 
 
+// single byte range: `bytes=<start>-<end>`, `bytes=<start>-` or `bytes=-<suffix>`
+internals.rangeRx = /^bytes=(\d*)-(\d*)$/i;
+
+
+/**
+ * returns the byte range to request from S3, based on the `Range` header
+ *
+ * - returns `null` if the whole Object should be requested: no range,
+ *   multiple ranges or unknown syntax, hapi still applies those on the
+ *   full Object
+ *
+ * @param {Object} request - Hapi request Object
+ * @return {Object<{ [start], [end], [suffix] }>|null}
+ */
+internals.getRange = function (request) {
+
+  const { range } = request.headers;
+
+  if (!range) {
+    return null;
+  }
+
+  const parts = internals.rangeRx.exec(range.trim());
+
+  if (!parts || (!parts[1] && !parts[2])) {
+    return null;
+  }
+
+  // the last `<suffix>` bytes
+  if (!parts[1]) {
+    return { suffix: parseInt(parts[2], 10) };
+  }
+
+  const start = parseInt(parts[1], 10);
+  const end = parts[2] ? parseInt(parts[2], 10) : undefined;
+
+  if (end !== undefined && end < start) {
+    return null;
+  }
+
+  return { start, end };
+};
+
+
+/**
+ * returns the `getObject` params of the requested byte range
+ *
+ * - the `If-Range` validator is passed as precondition, S3 rejects with
+ *   412 (Precondition Failed) if the range does not apply anymore
+ * - returns `null` if the whole Object should be requested, e.g. for weak
+ *   entity tags, which never match an `If-Range` header
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {Object} range - see `internals.getRange`
+ * @return {Object<{ Range, [IfMatch], [IfUnmodifiedSince] }>|null}
+ */
+internals.getRangeParams = function (request, range) {
+
+  const { 'if-range': ifRange } = request.headers;
+
+  if (!range) {
+    return null;
+  }
+
+  const params = {
+    Range: range.suffix === undefined
+      ? `bytes=${range.start}-${range.end === undefined ? '' : range.end}`
+      : `bytes=-${range.suffix}`
+  };
+
+  if (!ifRange) {
+    return params;
+  }
+
+  if (ifRange.startsWith('"')) {
+    return Object.assign(params, { IfMatch: ifRange });
+  }
+
+  const since = Date.parse(ifRange);
+
+  if (isNaN(since)) {
+    return null;
+  }
+
+  return Object.assign(params, { IfUnmodifiedSince: new Date(since) });
+};
+
+
+/**
+ * returns the `getObject` params of the `If-None-Match` and
+ * `If-Modified-Since` conditions, S3 answers with 304 (Not Modified)
+ * without the Object's body if the client's cached version is still valid
+ *
+ * - the conditions are only passed if the request has no `If-Match` or
+ *   `If-Unmodified-Since` precondition, which are evaluated first
+ *
+ * @param {Object} request - Hapi request Object
+ * @return {Object<{ [IfNoneMatch], [IfModifiedSince] }>}
+ */
+internals.getConditionalParams = function (request) {
+
+  const {
+    'if-match': ifMatch,
+    'if-unmodified-since': ifUnmodifiedSince,
+    'if-none-match': ifNoneMatch,
+    'if-modified-since': ifModifiedSince
+  } = request.headers;
+
+  if (ifMatch || ifUnmodifiedSince) {
+    return {};
+  }
+
+  if (ifNoneMatch) {
+    return { IfNoneMatch: ifNoneMatch };
+  }
+
+  const since = Date.parse(ifModifiedSince);
+
+  return isNaN(since) ? {} : { IfModifiedSince: new Date(since) };
+};
+
+
 /**
- * resolves with a stream of the S3 Object
+ * handles a failed ranged S3 request: rejects with 416 (Range Not
+ * Satisfiable) if the range starts behind the end of the Object, with
+ * the original error otherwise
+ *
+ * S3 compatible services differ in how they reject unsatisfiable ranges,
+ * the Object's size is therefore checked with `headObject`
  */
-internals.getObjectStream = function (request, bucket, key, params = {}) {
+internals.assertRangeSatisfiable = function (request, bucket, key, range, err, params = {}) {
+
+  return Helpers.getObjectMetaData(request, bucket, key, params)
+    .then(({ ContentLength }) => {
+      const isSatisfiable = range.suffix === undefined
+        ? range.start < ContentLength
+        : range.suffix > 0 && ContentLength > 0;
+
+      if (isSatisfiable) {
+        return Promise.reject(err);
+      }
+
+      const error = Boom.rangeNotSatisfiable();
+      error.output.headers['Content-Range'] = `bytes */${ContentLength}`;
+
+      return Promise.reject(error);
+    }, () => Promise.reject(err));
+};
+
+
+/**
+ * resolves with a presigned `getObject` URL of the S3 Object
+ */
+internals.getSignedUrl = function (request, bucket, key, params = {}) {
 
   if (!bucket || !key) {
     return Promise.reject(Helpers.BadImplementationError('bucket or key should not be empty'));
   }
 
+  const { signedUrlExpires } = request.route.settings.plugins.s3;
   const s3 = Helpers.getS3Client(request);
 
-  const getParams = Object.assign({}, params, {
+  const signParams = Object.assign({}, params, {
     Bucket: bucket,
-    Key: key
+    Key: key,
+    Expires: signedUrlExpires
   });
 
   return new Promise((resolve, reject) => {
-    const req = s3.getObject(getParams);
-    const passthrough = new PassThrough();
-
-    req.on('error', (err) => reject(Helpers.S3Error(err, { bucket, key })));
-    req.on('httpData', (chunk) => passthrough.write(chunk));
-    req.on('httpDone', () => passthrough.end());
+    s3.getSignedUrl('getObject', signParams, (err, url) => {
 
-    req.on('httpHeaders', (statusCode, headers) => {
-      if (statusCode >= 400) {
-        return reject(Boom.create(statusCode));
+      if (err) {
+        return reject(Helpers.S3Error(err, { bucket, key }));
       }
 
-      return resolve({
-        headers,
-        stream: passthrough
+      return resolve(url);
+    });
+  });
+};
+
+
+/**
+ * loads the S3 Object from the given buckets in order, the first bucket
+ * that has the object serves it
+ *
+ * - a 404 (Not Found) tries the next bucket, other errors reject immediately
+ * - rejects with the error of the first bucket if no bucket has the object
+ *
+ * @param {Array<String>} buckets
+ * @param {Func} load - load(bucket) -> Promise
+ * @resolves {Object<{ bucket, result }>} - `result` is the resolved value of `load`
+ */
+internals.failover = function (buckets, load) {
+
+  const isNotFound = (err) => err.isBoom && err.output.statusCode === 404;
+
+  const loadFrom = function (index, firstError) {
+    const bucket = buckets[index];
+
+    return load(bucket)
+      .then((result) => ({ bucket, result }))
+      .catch((err) => {
+        if (!isNotFound(err)) {
+          return Promise.reject(err);
+        }
+
+        if (index + 1 >= buckets.length) {
+          return Promise.reject(firstError || err);
+        }
+
+        return loadFrom(index + 1, firstError || err);
       });
+  };
+
+  return loadFrom(0);
+};
+
+
+/**
+ * resolves with the stream of the requested S3 Object, for websites the
+ * index or error documents might be served instead
+ *
+ * - the requested version, byte range and conditions are only applied to
+ *   the requested object
+ * - rejects with 416 (Range Not Satisfiable) if the range is out of bounds
+ * - loads the whole object if the `If-Range` validator does not match
+ * - resolves with the status code 304 (Not Modified) and without a body
+ *   if the client's cached version is still valid
+ * - each document is loaded from the first of `buckets` that has it
+ *
+ * @resolves {Object<{ bucket, key, objectMetaData, stream, abort, statusCode }>}
+ */
+internals.getObject = function (request, buckets, key) {
+
+  const { website } = request.route.settings.plugins.s3;
+  const requestedKey = website ? Website.getKey(request, key) : key;
+  const range = internals.getRange(request);
+  const rangeParams = internals.getRangeParams(request, range);
+  const conditionalParams = internals.getConditionalParams(request);
+
+  const isPreconditionFailed = (err) => err.isBoom && err.output.statusCode === 412;
+
+  // load the object's stream
+  const loadFromBucket = function (bucket, versionId, objectKey) {
+    if (objectKey !== requestedKey) {
+      return Helpers.getObjectStream(request, bucket, objectKey);
+    }
+
+    const versionParams = Helpers.compactObject({ VersionId: versionId });
+    const objectParams = Object.assign({}, versionParams, conditionalParams);
+
+    // 304 responses of s3 lack most of the meta data (e.g. the caching headers)
+    const loadMetaDataIfNotModified = function (result) {
+      if (result.statusCode !== 304) {
+        return result;
+      }
+
+      return Helpers.getObjectMetaData(request, bucket, objectKey, versionParams)
+        .then((objectMetaData) => Object.assign({}, result, { objectMetaData }));
+    };
+
+    if (!rangeParams) {
+      return Helpers.getObjectStream(request, bucket, objectKey, objectParams)
+        .then(loadMetaDataIfNotModified);
+    }
+
+    return Helpers.getObjectStream(request, bucket, objectKey, Object.assign({}, objectParams, rangeParams))
+      .catch((err) => {
+        // the `If-Range` validator does not match, the range does not apply
+        if (isPreconditionFailed(err) && (rangeParams.IfMatch || rangeParams.IfUnmodifiedSince)) {
+          return Helpers.getObjectStream(request, bucket, objectKey, objectParams);
+        }
+
+        return internals.assertRangeSatisfiable(request, bucket, objectKey, range, err, versionParams);
+      })
+      .then(loadMetaDataIfNotModified);
+  };
+
+  // load the object's stream from the first bucket that has it
+  const loadObject = function (versionId, objectKey) {
+    return internals.failover(buckets, (bucket) => loadFromBucket(bucket, versionId, objectKey));
+  };
+
+  const toResult = function ({ key, object, statusCode }) {
+    const { bucket, result: { objectMetaData, stream, abort } } = object;
+
+    const isPartialOrNotModified = object.result.statusCode === 206 || object.result.statusCode === 304;
+
+    return {
+      bucket,
+      key,
+      objectMetaData,
+      stream,
+      abort,
+      statusCode: (statusCode === 200 && isPartialOrNotModified) ? object.result.statusCode : statusCode
+    };
+  };
+
+  return Helpers.getVersionId(request)
+    .then((versionId) => {
+      if (website) {
+        return Website.getObject(request, key, (objectKey) => loadObject(versionId, objectKey))
+          .then(toResult);
+      }
+
+      return loadObject(versionId, key)
+        .then((object) => toResult({ key, object, statusCode: 200 }));
     });
+};
+
+
+/**
+ * returns the `ETag` and `Last-Modified` validators of the S3 Object
+ *
+ * @param {Object} objectMetaData - S3 `headObject` response
+ * @return {Object<{ [etag], [lastModified] }>}
+ */
+internals.getValidators = function (objectMetaData) {
+
+  const { ETag: etag, LastModified: lastModified } = objectMetaData;
 
-    req.send();
+  return Helpers.compactObject({
+    etag,
+    lastModified: lastModified ? new Date(lastModified).toUTCString() : undefined
   });
 };
 
 
 /**
- * s3 request-handler definition
+ * tests if the `ETag` is part of the given `If-Match` / `If-None-Match` list
+ *
+ * @param {String} header - comma separated list of entity tags or `*`
+ * @param {String} etag - the S3 Object's entity tag
+ * @param {Boolean} weak - use the weak comparison (ignore `W/` prefixes)
+ * @return {Boolean}
  */
-Serve.handler = function (request, reply) {
+internals.matchesETag = function (header, etag, weak) {
+
+  if (header.trim() === '*') {
+    return true;
+  }
+
+  if (!etag) {
+    return false;
+  }
+
+  const normalize = (tag) => (weak ? tag.replace(/^W\//, '') : tag);
+  const expected = normalize(etag);
+
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter((tag) => weak || !tag.startsWith('W/'))
+    .some((tag) => normalize(tag) === expected);
+};
+
+
+/**
+ * tests if the S3 Object was modified after the given HTTP date; invalid
+ * dates are treated as `undefined`
+ *
+ * @param {String} header - HTTP date
+ * @param {Date} lastModified - the S3 Object's modification date
+ * @return {Boolean|undefined}
+ */
+internals.isModifiedSince = function (header, lastModified) {
+
+  const since = Date.parse(header);
+
+  if (!lastModified || isNaN(since)) {
+    return undefined;
+  }
+
+  // HTTP dates have a precision of seconds
+  return Math.floor(new Date(lastModified).getTime() / 1000) > Math.floor(since / 1000);
+};
+
+
+/**
+ * evaluates the `If-Match` and `If-Unmodified-Since` preconditions
+ * [@see RFC 7232](https://tools.ietf.org/html/rfc7232#section-6)
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {Object} objectMetaData - S3 `headObject` response
+ * @throws 412 (Precondition Failed) if a precondition does not hold
+ */
+internals.assertPreconditions = function (request, objectMetaData) {
+
+  const { 'if-match': ifMatch, 'if-unmodified-since': ifUnmodifiedSince } = request.headers;
+  const { ETag: etag, LastModified: lastModified } = objectMetaData;
+
+  if (ifMatch) {
+    if (!internals.matchesETag(ifMatch, etag, false)) {
+      throw Boom.preconditionFailed('"If-Match" does not match the current entity tag');
+    }
+  } else if (ifUnmodifiedSince && internals.isModifiedSince(ifUnmodifiedSince, lastModified)) {
+    throw Boom.preconditionFailed('the file was modified since "If-Unmodified-Since"');
+  }
+};
+
+
+/**
+ * evaluates the `If-None-Match` and `If-Modified-Since` conditions
+ * [@see RFC 7232](https://tools.ietf.org/html/rfc7232#section-6)
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {Object} objectMetaData - S3 `headObject` response
+ * @return {Boolean} - `true` if the client's cached version is still valid
+ */
+internals.isNotModified = function (request, objectMetaData) {
+
+  const { 'if-none-match': ifNoneMatch, 'if-modified-since': ifModifiedSince } = request.headers;
+  const { ETag: etag, LastModified: lastModified } = objectMetaData;
+
+  if (ifNoneMatch) {
+    return internals.matchesETag(ifNoneMatch, etag, true);
+  }
+
+  if (ifModifiedSince) {
+    return internals.isModifiedSince(ifModifiedSince, lastModified) === false;
+  }
+
+  return false;
+};
+
+
+/**
+ * resolves with the meta data of the requested S3 Object, for websites the
+ * index or error documents might be served instead
+ *
+ * - each document is loaded from the first of `buckets` that has it
+ *
+ * @resolves {Object<{ bucket, key, objectMetaData, statusCode }>}
+ */
+internals.getObjectMetaData = function (request, buckets, key) {
+
+  const { website } = request.route.settings.plugins.s3;
+  const requestedKey = website ? Website.getKey(request, key) : key;
+
+  // the requested version only applies to the requested object
+  const loadObjectMetaData = function (versionId, objectKey) {
+    const params = objectKey === requestedKey ? Helpers.compactObject({ VersionId: versionId }) : {};
+
+    return internals.failover(buckets, (bucket) => Helpers.getObjectMetaData(request, bucket, objectKey, params));
+  };
+
+  const toResult = function ({ key, object, statusCode }) {
+    const { bucket, result: objectMetaData } = object;
+
+    return { bucket, key, objectMetaData, statusCode };
+  };
+
+  return Helpers.getVersionId(request)
+    .then((versionId) => {
+      if (website) {
+        return Website.getObject(request, key, (objectKey) => loadObjectMetaData(versionId, objectKey))
+          .then(toResult);
+      }
+
+      return loadObjectMetaData(versionId, key)
+        .then((object) => toResult({ key, object, statusCode: 200 }));
+    });
+};
+
+
+/**
+ * set the headers exposing the S3 user meta data
+ */
+internals.setMetadataHeaders = function (response, metadataHeaders) {
+
+  Object.keys(metadataHeaders).forEach((name) => {
+    response.header(name, metadataHeaders[name]);
+  });
+
+  return response;
+};
+
+
+/**
+ * set the `X-S3-Bucket` debug header to the bucket that served the object,
+ * if the route reads from multiple buckets
+ */
+internals.setBucketHeader = function (request, response, bucket) {
+
+  const { bucket: option } = request.route.settings.plugins.s3;
+
+  if (typeof option !== 'string') {
+    response.header('X-S3-Bucket', bucket);
+  }
+
+  return response;
+};
+
+
+/**
+ * set the `Cache-Control` and `Expires` headers, if given
+ */
+internals.setCacheHeaders = function (response, { cacheControl, expires }) {
+
+  if (cacheControl) {
+    response.header('Cache-Control', cacheControl);
+  }
+
+  if (expires) {
+    response.header('Expires', expires);
+  }
+
+  return response;
+};
+
+
+/**
+ * reply with 304 (Not Modified) without loading the s3 object stream or
+ * delegate reply behaviour to `onResponse`
+ */
+internals.replyNotModified = function (request, reply, bucket, key, objectMetaData) {
+
+  const { onResponse } = request.route.settings.plugins.s3;
+  const { etag, lastModified } = internals.getValidators(objectMetaData);
+  const { VersionId: versionId, Metadata: metadata } = objectMetaData;
+
+  return Helpers.getCacheControl(request, bucket, key, objectMetaData)
+    .then(({ cacheControl, expires }) => {
+
+      // delegate reply if configured
+      if (onResponse) {
+        const options = Helpers.compactObject({
+          bucket,
+          key,
+          etag,
+          lastModified,
+          versionId,
+          metadata,
+          cacheControl,
+          expires,
+          defaultStatusCode: 304,
+          data: null
+        });
+
+        return onResponse(/* error */null, /* res */null, request, reply, options);
+      }
+
+      // default reply strategy
+      const response = reply().code(304);
+
+      if (etag) {
+        response.header('ETag', etag);
+      }
+
+      if (lastModified) {
+        response.header('Last-Modified', lastModified);
+      }
+
+      if (versionId) {
+        response.header('X-Version-Id', versionId);
+      }
+
+      internals.setBucketHeader(request, response, bucket);
+
+      return internals.setCacheHeaders(response, { cacheControl, expires });
+    });
+};
+
+
+/**
+ * resolves the content type and disposition of the S3 Object
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {Object} object - `{ bucket, key, objectMetaData }`
+ * @resolves {Object<{ type, disposition }>}
+ */
+internals.getContentDispositionAndType = function (request, { bucket, key, objectMetaData }) {
+
+  return Promise
+    .all([
+      Helpers.getContentType(request, bucket, key, objectMetaData),
+      Helpers.getContentDisposition(request, bucket, key, objectMetaData)
+    ])
+    .then(([type, disposition]) => ({ type, disposition }));
+};
+
+
+/**
+ * resolves the response headers of the S3 Object: the content type and
+ * disposition, the `Cache-Control` and `Expires` headers and the headers
+ * exposing the s3 user meta data and the stored digests
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {Object} object - `{ bucket, key, objectMetaData }`
+ * @resolves {Object<{ type, disposition, cache, metadataHeaders }>}
+ */
+internals.getObjectHeaders = function (request, object) {
+
+  const { bucket, key, objectMetaData } = object;
+
+  return Promise
+    .all([
+      internals.getContentDispositionAndType(request, object),
+      Helpers.getCacheControl(request, bucket, key, objectMetaData),
+      Helpers.getMetadataHeaders(request, bucket, key, objectMetaData.Metadata)
+        .then((headers) => Object.assign(Digest.getHeaders(objectMetaData.Metadata), headers))
+    ])
+    .then(([{ type, disposition }, cache, metadataHeaders]) => ({ type, disposition, cache, metadataHeaders }));
+};
+
+
+/**
+ * returns the `onResponse` options of the S3 Object, without `data`
+ */
+internals.getResponseOptions = function ({ bucket, key, objectMetaData, statusCode }, { type, disposition, cache }) {
+
+  const { etag, lastModified } = internals.getValidators(objectMetaData);
+  const { VersionId: versionId, Metadata: metadata } = objectMetaData;
+  const { cacheControl, expires } = cache;
+
+  return Helpers.compactObject({
+    bucket,
+    key,
+    contentType: type,
+    contentDisposition: disposition,
+    contentRange: statusCode === 206 ? objectMetaData.ContentRange : undefined,
+    contentLength: objectMetaData.ContentLength,
+    etag,
+    lastModified,
+    versionId,
+    metadata,
+    cacheControl,
+    expires,
+    defaultStatusCode: statusCode
+  });
+};
+
+
+/**
+ * set the response headers of the S3 Object
+ */
+internals.setObjectHeaders = function (request, response, object, headers) {
+
+  const {
+    contentType: type, contentDisposition: disposition, contentRange, contentLength, etag, lastModified, versionId
+  } = internals.getResponseOptions(object, headers);
+
+  response.header('Accept-Ranges', 'bytes');
+
+  if (type) {
+    response.type(type);
+  }
+
+  if (disposition) {
+    response.header('Content-Disposition', disposition);
+  }
+
+  if (etag) {
+    response.header('ETag', etag);
+  }
+
+  if (lastModified) {
+    response.header('Last-Modified', lastModified);
+  }
+
+  if (versionId) {
+    response.header('X-Version-Id', versionId);
+  }
+
+  if (contentRange) {
+    response.header('Content-Range', contentRange);
+  }
+
+  // lets hapi apply `If-Range` requests on the full object
+  if (typeof contentLength === 'number') {
+    response.bytes(contentLength);
+  }
+
+  internals.setMetadataHeaders(response, headers.metadataHeaders);
+  internals.setBucketHeader(request, response, object.bucket);
+
+  return internals.setCacheHeaders(response, headers.cache);
+};
+
+
+/**
+ * handles `GET` and `HEAD` requests, which only differ in how the S3 Object
+ * is loaded and how the reply is sent
+ *
+ * - archives and listings are answered like `GET` requests (hapi strips the
+ *   payload of `HEAD` requests)
+ * - rejects with 412 if the `If-Match` / `If-Unmodified-Since` conditions fail
+ * - replies with 304 if the client's cached version is still valid
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {Object} reply - Hapi reply interface
+ * @param {Func} loadObject - loadObject(buckets, key) -> Promise
+ *   - resolves with `{ bucket, key, objectMetaData, statusCode, [data] }`,
+ *     `data` is `{ stream, abort }` if the object's stream was loaded
+ * @param {Func} replyWithObject - replyWithObject(object) -> Promise
+ */
+internals.serve = function (request, reply, loadObject, replyWithObject) {
+
+  // resolve `buckets` and `key`, the key can be empty for listings, websites and archives
+  const getBucketsAndKey = function () {
+    const { listing, website, archive } = request.route.settings.plugins.s3;
 
-  // resolve `bucket` and `key`
-  const getBucketAndKey = function () {
     return Promise
       .all([
-        Helpers.getBucket(request),
-        Helpers.getKey(request)
+        Helpers.getBuckets(request),
+        Helpers.getKey(request, { allowEmpty: Boolean(listing || website || archive) })
       ]);
   };
 
-  // load s3 object meta data
-  const getObjectMetaData = function ([bucket, key]) {
-    return Helpers.getObjectMetaData(request, bucket, key)
-      .then((objectMetaData) => [bucket, key, objectMetaData]);
+  // abort the s3 object stream, if loaded
+  const abort = function ({ data }) {
+    if (data) {
+      data.abort();
+    }
   };
 
-  // resolve `filename` for the content disposition header
-  const getContentDispositionAndType = function ([bucket, key, objectMetaData]) {
-    return Promise
-      .all([
-        Helpers.getContentType(request, bucket, key, objectMetaData),
-        Helpers.getContentDisposition(request, bucket, key, objectMetaData)
-      ])
-      .then(([type, disposition]) => [bucket, key, type, disposition]);
+  // the conditions only apply to the requested object, also if only a range of it is served
+  const isRequestedObject = ({ statusCode }) => statusCode === 200 || statusCode === 206;
+
+  // reject with 412 if the `If-Match` / `If-Unmodified-Since` conditions fail
+  const assertPreconditions = function (object) {
+    if (isRequestedObject(object)) {
+      try {
+        internals.assertPreconditions(request, object.objectMetaData);
+      } catch (err) {
+        abort(object);
+        throw err;
+      }
+    }
+
+    return object;
+  };
+
+  // reply with the s3 object, unless the client's cached version is still valid
+  const replyWithObjectOrNotModified = function (object) {
+    const { bucket, key, objectMetaData, statusCode } = object;
+
+    // s3 already evaluated the conditions if it answered with 304
+    if (statusCode === 304 || (isRequestedObject(object) && internals.isNotModified(request, objectMetaData))) {
+      abort(object);
+      return internals.replyNotModified(request, reply, bucket, key, objectMetaData);
+    }
+
+    return replyWithObject(object);
+  };
+
+  // reply with an archive or a listing of the objects under the prefix or serve the s3 object
+  const replyWithListingOrObject = function ([buckets, key]) {
+    const [bucket] = buckets;
+
+    if (Archive.isArchive(request)) {
+      return Archive.replyWithArchive(request, reply, bucket, key);
+    }
+
+    if (List.isListing(request, key)) {
+      return List.replyWithListing(request, reply, bucket, List.getPrefix(request, key));
+    }
+
+    return loadObject(buckets, key)
+      .then(assertPreconditions)
+      .then(replyWithObjectOrNotModified);
   };
 
-  // get the s3 object stream
-  const getObjectStream = function ([bucket, key, type, disposition]) {
-    return internals.getObjectStream(request, bucket, key)
-      .then((data) => [bucket, key, data, type, disposition]);
+  return Promise.resolve()
+    .then(getBucketsAndKey)
+    .then(replyWithListingOrObject)
+    .catch(Helpers.replyWithError(request, reply));
+};
+
+
+/**
+ * s3 request-handler definition
+ */
+Serve.handler = function (request, reply) {
+
+  const { delivery, onResponse } = request.route.settings.plugins.s3;
+
+  // redirects only need the meta data, proxied objects are loaded with a
+  // single `getObject` request from the first bucket that has the object
+  const loadObject = function (buckets, key) {
+    if (delivery === 'redirect') {
+      return internals.getObjectMetaData(request, buckets, key);
+    }
+
+    return internals.getObject(request, buckets, key)
+      .then(({ bucket, key, objectMetaData, statusCode, stream, abort }) => {
+        return { bucket, key, objectMetaData, statusCode, data: { stream, abort } };
+      });
+  };
+
+  // get the s3 object stream, if not loaded yet
+  const getObjectStream = function ([object, headers]) {
+    if (object.data) {
+      return [object, headers];
+    }
+
+    return Helpers.getObjectStream(request, object.bucket, object.key)
+      .then(({ stream, abort }) => [Object.assign({}, object, { data: { stream, abort } }), headers]);
   };
 
   // reply with the s3 stream + add content type and content disposition
   // accordingly or delegate reply behaviour to `onResponse`
-  const replyWithStream = function ([bucket, key, data, type, disposition]) {
-    const { onResponse } = request.route.settings.plugins.s3;
+  const replyWithStream = function ([object, headers]) {
+    const { stream } = object.data;
+
+    // delegate reply if configured
+    if (onResponse) {
+      const options = Object.assign(internals.getResponseOptions(object, headers), { data: stream });
+
+      return onResponse(/* error */null, /* res */stream, request, reply, options);
+    }
+
+    // default reply strategy
+    const response = reply(stream).code(object.statusCode);
+
+    return internals.setObjectHeaders(request, response, object, headers);
+  };
+
+  // get a presigned url, which overrides the content type and disposition
+  // of the s3 object with the resolved ones
+  const getSignedUrl = function ([object, { type, disposition }]) {
+    const params = Helpers.compactObject({
+      VersionId: object.objectMetaData.VersionId,
+      ResponseContentType: type,
+      ResponseContentDisposition: disposition
+    });
+
+    return internals.getSignedUrl(request, object.bucket, object.key, params)
+      .then((location) => [object, location, type, disposition]);
+  };
+
+  // redirect to the presigned url or delegate reply behaviour to `onResponse`
+  const replyWithRedirect = function ([{ bucket, key, objectMetaData }, location, type, disposition]) {
+    const { redirectStatusCode } = request.route.settings.plugins.s3;
+    const { etag, lastModified } = internals.getValidators(objectMetaData);
+    const { VersionId: versionId, Metadata: metadata } = objectMetaData;
 
     // delegate reply if configured
     if (onResponse) {
@@ -100,34 +858,41 @@ Serve.handler = function (request, reply) {
         key,
         contentType: type,
         contentDisposition: disposition,
-        defaultStatusCode: 200,
-        data: data.stream
+        etag,
+        lastModified,
+        versionId,
+        metadata,
+        location,
+        defaultStatusCode: redirectStatusCode,
+        data: location
       });
 
-      return onResponse(/* error */null, /* res */data.stream, request, reply, options);
+      return onResponse(/* error */null, /* res */location, request, reply, options);
     }
 
     // default reply strategy
-    const response = reply(data.stream);
+    const response = reply.redirect(location).code(redirectStatusCode);
 
-    if (type) {
-      response.type(type);
-    }
+    return internals.setBucketHeader(request, response, bucket);
+  };
 
-    if (disposition) {
-      response.header('Content-Disposition', disposition);
+  // let the client load the object from s3 directly, error documents
+  // of websites are always served, as a redirect cannot keep the status
+  const replyWithObject = function (object) {
+    if (object.statusCode === 200 && delivery === 'redirect') {
+      return internals.getContentDispositionAndType(request, object)
+        .then((headers) => [object, headers])
+        .then(getSignedUrl)
+        .then(replyWithRedirect);
     }
 
-    return response;
+    return internals.getObjectHeaders(request, object)
+      .then((headers) => [object, headers])
+      .then(getObjectStream)
+      .then(replyWithStream);
   };
 
-  return Promise.resolve()
-    .then(getBucketAndKey)
-    .then(getObjectMetaData)
-    .then(getContentDispositionAndType)
-    .then(getObjectStream)
-    .then(replyWithStream)
-    .catch(Helpers.replyWithError(request, reply));
+  return internals.serve(request, reply, loadObject, replyWithObject);
 };
 
 
@@ -137,3 +902,45 @@ Serve.handler.defaults = {
     parse: false
   }
 };
+
+
+/**
+ * s3 request-handler definition for `HEAD` requests, only loads the
+ * object's meta data
+ */
+Serve.headHandler = function (request, reply) {
+
+  const { onResponse } = request.route.settings.plugins.s3;
+
+  // load s3 object meta data from the first bucket that has the object
+  const loadObject = function (buckets, key) {
+    return internals.getObjectMetaData(request, buckets, key);
+  };
+
+  // reply with the object's headers or delegate reply behaviour to `onResponse`
+  const replyWithHeaders = function ([object, headers]) {
+    // delegate reply if configured
+    if (onResponse) {
+      const options = Object.assign(internals.getResponseOptions(object, headers), { data: null });
+
+      return onResponse(/* error */null, /* res */null, request, reply, options);
+    }
+
+    // default reply strategy
+    const response = reply().code(object.statusCode);
+
+    return internals.setObjectHeaders(request, response, object, headers);
+  };
+
+  // resolve the headers of the object
+  const replyWithObject = function (object) {
+    return internals.getObjectHeaders(request, object)
+      .then((headers) => [object, headers])
+      .then(replyWithHeaders);
+  };
+
+  return internals.serve(request, reply, loadObject, replyWithObject);
+};
+
+
+Serve.headHandler.defaults = Serve.handler.defaults;
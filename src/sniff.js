@@ -0,0 +1,280 @@
+/**
+ * Content sniffing: detects the type of uploads by their first bytes
+ */
+
+const Stream = require('stream');
+
+const internals = {};
+const Sniff = exports;
+
+
+// number of bytes read from the start of an upload
+internals.headLength = 512;
+
+// generic content types which don't claim a specific format
+internals.genericTypes = ['application/octet-stream', 'binary/octet-stream'];
+
+// binary formats with a signature, `aliases` are content types of the same format
+// (e.g. Office documents are ZIP archives)
+internals.signatures = [
+  {
+    type: 'application/pdf',
+    test: (head) => internals.startsWith(head, '%PDF-')
+  },
+  {
+    type: 'image/png',
+    test: (head) => internals.startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+  },
+  {
+    type: 'image/jpeg',
+    aliases: ['image/jpg', 'image/pjpeg'],
+    test: (head) => internals.startsWith(head, [0xFF, 0xD8, 0xFF])
+  },
+  {
+    type: 'image/gif',
+    test: (head) => internals.startsWith(head, 'GIF87a') || internals.startsWith(head, 'GIF89a')
+  },
+  {
+    type: 'image/webp',
+    test: (head) => internals.startsWith(head, 'RIFF') && internals.startsWith(head, 'WEBP', 8)
+  },
+  {
+    type: 'image/tiff',
+    test: (head) => internals.startsWith(head, [0x49, 0x49, 0x2A, 0x00]) ||
+      internals.startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])
+  },
+  {
+    type: 'audio/wav',
+    aliases: ['audio/wave', 'audio/x-wav'],
+    test: (head) => internals.startsWith(head, 'RIFF') && internals.startsWith(head, 'WAVE', 8)
+  },
+  {
+    type: 'audio/mpeg',
+    aliases: ['audio/mp3'],
+    test: (head) => internals.startsWith(head, 'ID3')
+  },
+  {
+    type: 'video/mp4',
+    aliases: ['audio/mp4', 'audio/x-m4a', 'video/x-m4v', 'video/quicktime', 'video/3gpp'],
+    test: (head) => internals.startsWith(head, 'ftyp', 4)
+  },
+  {
+    type: 'video/webm',
+    aliases: ['audio/webm', 'video/x-matroska'],
+    test: (head) => internals.startsWith(head, [0x1A, 0x45, 0xDF, 0xA3])
+  },
+  {
+    type: 'application/ogg',
+    aliases: ['audio/ogg', 'video/ogg'],
+    test: (head) => internals.startsWith(head, 'OggS')
+  },
+  {
+    type: 'application/zip',
+    aliases: [
+      'application/x-zip-compressed',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.oasis.opendocument.text',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'application/vnd.oasis.opendocument.presentation',
+      'application/epub+zip',
+      'application/java-archive'
+    ],
+    // local file header or end of central directory of an empty archive
+    test: (head) => internals.startsWith(head, [0x50, 0x4B, 0x03, 0x04]) ||
+      internals.startsWith(head, [0x50, 0x4B, 0x05, 0x06])
+  },
+  {
+    // compound file binary format of legacy Office documents
+    type: 'application/x-cfb',
+    aliases: ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'],
+    test: (head) => internals.startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])
+  },
+  {
+    type: 'application/gzip',
+    aliases: ['application/x-gzip'],
+    test: (head) => internals.startsWith(head, [0x1F, 0x8B])
+  },
+  {
+    type: 'application/x-7z-compressed',
+    test: (head) => internals.startsWith(head, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])
+  },
+  {
+    type: 'application/vnd.rar',
+    aliases: ['application/x-rar-compressed'],
+    test: (head) => internals.startsWith(head, 'Rar!\x1A\x07')
+  },
+  {
+    type: 'application/x-msdownload',
+    test: (head) => internals.startsWith(head, 'MZ')
+  },
+  {
+    type: 'application/x-elf',
+    test: (head) => internals.startsWith(head, [0x7F, 0x45, 0x4C, 0x46])
+  }
+];
+
+// an optional XML declaration and comments followed by a typical first tag of HTML documents
+internals.htmlRx = /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body|script|iframe)[\s>]/;
+
+// markup formats, tested on the text after an optional BOM and whitespace
+internals.markup = [
+  {
+    type: 'image/svg+xml',
+    test: (text) => /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!doctype svg[^>]*>\s*)*<svg[\s>]/.test(text)
+  },
+  {
+    type: 'text/html',
+    aliases: ['application/xhtml+xml'],
+    test: (text) => internals.htmlRx.test(text)
+  },
+  {
+    type: 'application/xml',
+    aliases: ['text/xml'],
+    test: (text) => /^<\?xml[\s>]/.test(text)
+  }
+];
+
+// content types claiming a binary format, which must be detected
+internals.binaryTypes = internals.signatures
+  .reduce((memo, { type, aliases = [] }) => memo.concat(type, aliases), []);
+
+
+/**
+ * tests if the buffer starts with the given bytes or string at the given offset
+ *
+ * @param {Buffer} head
+ * @param {Array<Number>|String} bytes
+ * @param {Number} [offset]
+ * @return {Boolean}
+ */
+internals.startsWith = function (head, bytes, offset = 0) {
+
+  const expected = Buffer.from(bytes, typeof bytes === 'string' ? 'binary' : undefined);
+
+  if (head.length < offset + expected.length) {
+    return false;
+  }
+
+  return head.slice(offset, offset + expected.length).equals(expected);
+};
+
+
+/**
+ * returns the mime type of a content type without parameters, e.g. `charset`
+ *
+ * @param {String} [contentType]
+ * @return {String|undefined}
+ */
+internals.getMime = function (contentType) {
+
+  if (!contentType) {
+    return undefined;
+  }
+
+  return contentType.split(';')[0].trim().toLowerCase();
+};
+
+
+/**
+ * detects the content type by the first bytes of a file
+ *
+ * @param {Buffer} head - the first bytes of the file
+ * @return {String|undefined} - `undefined` if the format is unknown
+ */
+Sniff.detect = function (head) {
+
+  const signature = internals.signatures.find(({ test }) => test(head));
+
+  if (signature) {
+    return signature.type;
+  }
+
+  const text = head.toString('utf8').replace(/^\uFEFF/, '').trimLeft().toLowerCase();
+  const markup = internals.markup.find(({ test }) => test(text));
+
+  return markup ? markup.type : undefined;
+};
+
+
+/**
+ * tests if the declared content type matches the detected content type
+ *
+ * - generic or missing content types match every format
+ * - content types of binary formats require the format to be detected
+ *
+ * @param {String} [declared] - the content type the file is uploaded with
+ * @param {String} [detected] - the content type detected by `Sniff.detect`
+ * @return {Boolean}
+ */
+Sniff.matches = function (declared, detected) {
+
+  const mime = internals.getMime(declared);
+
+  if (!mime || internals.genericTypes.includes(mime)) {
+    return true;
+  }
+
+  if (!detected) {
+    return !internals.binaryTypes.includes(mime);
+  }
+
+  const format = internals.signatures.concat(internals.markup).find(({ type }) => type === detected);
+  const aliases = format.aliases || [];
+
+  return mime === detected || aliases.includes(mime);
+};
+
+
+/**
+ * reads the first bytes of a stream
+ *
+ * - resolves with a new stream holding all bytes of the given stream
+ *
+ * @param {Stream} stream
+ * @resolves {Object<{ head, stream }>} - `head`: the first bytes as Buffer
+ */
+Sniff.peek = function (stream) {
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    let isDone = false;
+
+    const finish = function (isEnded) {
+      isDone = true;
+      stream.pause();
+
+      const head = Buffer.concat(chunks);
+      const body = new Stream.PassThrough();
+
+      body.write(head);
+
+      if (isEnded) {
+        body.end();
+      } else {
+        stream.once('error', (err) => body.emit('error', err));
+        stream.pipe(body);
+      }
+
+      return resolve({ head: head.slice(0, internals.headLength), stream: body });
+    };
+
+    stream.on('data', (chunk) => {
+      if (isDone) {
+        return;
+      }
+
+      chunks.push(chunk);
+      length += chunk.length;
+
+      if (length >= internals.headLength) {
+        finish(false);
+      }
+    });
+
+    stream.once('end', () => !isDone && finish(true));
+    stream.once('error', reject);
+  });
+};
@@ -0,0 +1,919 @@
+/**
+ * Resumable uploads with the tus protocol (https://tus.io/protocols/resumable-upload.html),
+ * backed by S3 multipart uploads
+ */
+
+const Crypto = require('crypto');
+const Path = require('path');
+
+const Boom = require('boom');
+const ContentDisposition = require('content-disposition');
+
+const Helpers = require('./helpers');
+const List = require('./list');
+const Lock = require('./lock');
+const Upload = require('./upload');
+
+const internals = {};
+const Tus = exports;
+
+
+// supported protocol version and extensions
+internals.version = '1.0.0';
+internals.extensions = ['creation', 'expiration', 'termination'];
+
+// content type of `PATCH` requests
+internals.contentType = 'application/offset+octet-stream';
+
+// defaults of the `tus` route option
+internals.defaults = {
+  prefix: '.tus/',
+  expires: 1000 * 60 * 60 * 24, // 24h
+  partSize: 1024 * 1024 * 5 // 5MB, the minimum size of S3 parts
+};
+
+// upload ids: `<expires timestamp>-<random hex>`, listed in order of expiry
+internals.idRx = /^(\d+)-[0-9a-f]{32}$/;
+
+// base64 encoded values of the `Upload-Metadata` header
+internals.base64Rx = /^[A-Za-z0-9+/]*={0,2}$/;
+
+
+/**
+ * tests if the request is part of a tus upload
+ *
+ * @param {Object} request - Hapi request Object
+ * @return {Boolean}
+ */
+Tus.isTus = function (request) {
+
+  const { tus } = request.route.settings.plugins.s3;
+
+  return Boolean(tus);
+};
+
+
+/**
+ * returns the `tus` route option merged with the defaults
+ */
+internals.getSettings = function (request) {
+
+  const { tus } = request.route.settings.plugins.s3;
+
+  return Object.assign({}, internals.defaults, typeof tus === 'object' ? tus : {});
+};
+
+
+/**
+ * returns the keys of the upload state objects
+ *
+ * - `infoKey`: JSON of the upload (key, multipart upload id, length, ...)
+ * - `partKey`: received bytes, which are not yet uploaded as part (smaller than `partSize`)
+ * - `lockKey`: the lock markers of a running `PATCH` request are stored under `<lockKey>/`
+ */
+internals.getStateKeys = function (request, id) {
+
+  const { prefix } = internals.getSettings(request);
+
+  return {
+    infoKey: `${prefix}${id}.info`,
+    partKey: `${prefix}${id}.part`,
+    lockKey: `${prefix}${id}.lock`
+  };
+};
+
+
+/**
+ * sends a s3 request and resolves with the response data
+ */
+internals.send = function (request, operation, params) {
+
+  const s3 = Helpers.getS3Client(request);
+
+  return new Promise((resolve, reject) => {
+    s3[operation](params, (err, data) => {
+
+      if (err) {
+        return reject(Helpers.S3Error(err, { bucket: params.Bucket, key: params.Key }));
+      }
+
+      return resolve(data);
+    });
+  });
+};
+
+
+/**
+ * tests if the upload with the given id is expired
+ */
+internals.isExpired = function (id, now) {
+
+  return parseInt(id, 10) < now;
+};
+
+
+/**
+ * returns the id of the upload from the last segment of the request path
+ *
+ * @throws with 404 (Not Found) for invalid ids
+ */
+internals.getId = function (request) {
+
+  const id = request.path.split('/').pop();
+
+  if (!internals.idRx.test(id)) {
+    throw Boom.notFound(`could not find upload: ${id}`);
+  }
+
+  return id;
+};
+
+
+/**
+ * rejects with 412 (Precondition Failed), if the client uses another
+ * protocol version
+ */
+internals.assertVersion = function (request) {
+
+  const version = request.headers['tus-resumable'];
+
+  if (version !== internals.version) {
+    const error = Boom.preconditionFailed(`unsupported tus version: ${version}`);
+    error.output.headers['Tus-Version'] = internals.version;
+
+    return Promise.reject(error);
+  }
+
+  return Promise.resolve();
+};
+
+
+/**
+ * parses the `Upload-Metadata` header: `<key> <base64 value>,<key> <base64 value>,...`
+ *
+ * @throws with 400 (Bad Request) for invalid values
+ * @return {Object}
+ */
+internals.parseMetadata = function (header) {
+
+  if (!header) {
+    return {};
+  }
+
+  return header.split(',').reduce((memo, pair) => {
+    const [name, value = '', ...rest] = pair.trim().split(' ');
+
+    if (!name || rest.length || !internals.base64Rx.test(value)) {
+      throw Boom.badRequest('invalid upload-metadata header');
+    }
+
+    memo[name] = Buffer.from(value, 'base64').toString('utf8');
+
+    return memo;
+  }, {});
+};
+
+
+/**
+ * adds the protocol headers and the given headers to the response
+ */
+internals.replyWithHeaders = function (reply, statusCode, headers = {}) {
+
+  const response = reply().code(statusCode);
+
+  response.header('Tus-Resumable', internals.version);
+
+  Object.keys(headers)
+    .filter((name) => headers[name] !== undefined)
+    .forEach((name) => response.header(name, `${headers[name]}`));
+
+  return response;
+};
+
+
+/**
+ * common error handling, adds the `Tus-Resumable` header to the error response
+ */
+internals.replyWithError = function (request, reply) {
+
+  const replyWithError = Helpers.replyWithError(request, reply);
+
+  return function (err) {
+
+    const error = Boom.wrap(err);
+    error.output.headers['Tus-Resumable'] = internals.version;
+
+    return replyWithError(error);
+  };
+};
+
+
+/**
+ * resolves with the upload info
+ *
+ * @resolves {Object<{ key, uploadId, length, [metadata], [conflict], [completed] }>}
+ * @reject - with 404 (Not Found) if there is no upload with the given id
+ */
+internals.getInfo = function (request, bucket, id) {
+
+  const { infoKey } = internals.getStateKeys(request, id);
+
+  return internals.send(request, 'getObject', { Bucket: bucket, Key: infoKey })
+    .then((data) => JSON.parse(data.Body.toString('utf8')))
+    .catch((err) => {
+      if (err.isBoom && err.output.statusCode === 404) {
+        return Promise.reject(Boom.notFound(`could not find upload: ${id}`));
+      }
+
+      return Promise.reject(err);
+    });
+};
+
+
+/**
+ * stores the upload info
+ */
+internals.putInfo = function (request, bucket, id, info) {
+
+  const { infoKey } = internals.getStateKeys(request, id);
+
+  return internals.send(request, 'putObject', {
+    Bucket: bucket,
+    Key: infoKey,
+    Body: JSON.stringify(info),
+    ContentType: 'application/json'
+  });
+};
+
+
+/**
+ * resolves with all uploaded parts of the multipart upload
+ *
+ * @resolves {Array<Object<{ PartNumber, ETag, Size }>>}
+ */
+internals.listParts = function (request, bucket, info) {
+
+  const loadPage = function (parts, marker) {
+    const params = Helpers.compactObject({
+      Bucket: bucket,
+      Key: info.key,
+      UploadId: info.uploadId,
+      PartNumberMarker: marker
+    });
+
+    return internals.send(request, 'listParts', params)
+      .then((data) => {
+        const allParts = parts.concat(data.Parts || []);
+
+        if (!data.IsTruncated) {
+          return allParts;
+        }
+
+        return loadPage(allParts, data.NextPartNumberMarker);
+      });
+  };
+
+  return loadPage([]);
+};
+
+
+/**
+ * resolves with the size of the received bytes, which are not yet
+ * uploaded as part
+ */
+internals.getPendingLength = function (request, bucket, id) {
+
+  const { partKey } = internals.getStateKeys(request, id);
+
+  return internals.send(request, 'headObject', { Bucket: bucket, Key: partKey })
+    .then((data) => data.ContentLength)
+    .catch((err) => {
+      if (err.isBoom && err.output.statusCode === 404) {
+        return 0;
+      }
+
+      return Promise.reject(err);
+    });
+};
+
+
+/**
+ * deletes a state object, some S3 compatible services reject missing keys
+ */
+internals.deleteObject = function (request, bucket, key) {
+
+  return internals.send(request, 'deleteObject', { Bucket: bucket, Key: key })
+    .catch((err) => {
+      if (err.isBoom && err.output.statusCode === 404) {
+        return null;
+      }
+
+      return Promise.reject(err);
+    });
+};
+
+
+/**
+ * aborts the multipart upload and removes the upload state objects, if
+ * the upload exists
+ */
+internals.terminate = function (request, bucket, id) {
+
+  const { infoKey, partKey } = internals.getStateKeys(request, id);
+
+  const abortUpload = function (info) {
+    if (info.completed) {
+      return null;
+    }
+
+    const params = { Bucket: bucket, Key: info.key, UploadId: info.uploadId };
+
+    return internals.send(request, 'abortMultipartUpload', params)
+      .catch((err) => {
+        // already aborted
+        if (err.isBoom && err.output.statusCode === 404) {
+          return null;
+        }
+
+        return Promise.reject(err);
+      });
+  };
+
+  const removeState = function () {
+    return Promise.all([
+      internals.deleteObject(request, bucket, partKey),
+      internals.deleteObject(request, bucket, infoKey)
+    ]);
+  };
+
+  return internals.getInfo(request, bucket, id)
+    .then(abortUpload, (err) => {
+      if (err.isBoom && err.output.statusCode === 404) {
+        return null;
+      }
+
+      return Promise.reject(err);
+    })
+    .then(removeState);
+};
+
+
+/**
+ * terminates the expired uploads of the first page of the upload state
+ * objects, as ids start with their expiry, these are the oldest uploads
+ */
+internals.cleanup = function (request, bucket) {
+
+  const { prefix } = internals.getSettings(request);
+  const now = Date.now();
+
+  const getExpiredIds = function ({ keys }) {
+    return keys
+      .filter((key) => key.endsWith('.info'))
+      .map((key) => Path.basename(key, '.info'))
+      .filter((id) => internals.idRx.test(id) && internals.isExpired(id, now));
+  };
+
+  const terminate = function (ids) {
+    return ids.reduce((promise, id) => promise.then(() => internals.terminate(request, bucket, id)), Promise.resolve());
+  };
+
+  return List.listKeys(request, bucket, prefix)
+    .then(getExpiredIds)
+    .then(terminate);
+};
+
+
+/**
+ * acquires the lock of the upload, a single `PATCH` request at a time
+ * appends to the upload (parts and pending bytes)
+ *
+ * @resolves {Object<{ release }>}
+ * @reject - with 423 (Locked) if the upload is patched concurrently
+ */
+internals.acquireLock = function (request, bucket, id) {
+
+  const { lockKey } = internals.getStateKeys(request, id);
+
+  return Lock.acquire(request, bucket, lockKey, { lockPrefix: '' })
+    .catch((err) => {
+      if (err.isBoom && err.output.statusCode === 409) {
+        return Promise.reject(Boom.locked(`the upload ${id} is patched concurrently`));
+      }
+
+      return Promise.reject(err);
+    });
+};
+
+
+/**
+ * resolves with the upload info and its current offset
+ *
+ * - expired uploads are terminated and rejected with 410 (Gone)
+ * - the offset is the size of the uploaded parts and of the pending bytes
+ *
+ * @resolves {Object<{ info, offset, parts, pendingLength }>}
+ */
+internals.getUpload = function (request, bucket, id) {
+
+  if (internals.isExpired(id, Date.now())) {
+    return internals.terminate(request, bucket, id)
+      .then(() => Promise.reject(Boom.resourceGone(`the upload ${id} is expired`)));
+  }
+
+  const getOffset = function (info) {
+    if (info.completed) {
+      return { info, offset: info.length, parts: [], pendingLength: 0 };
+    }
+
+    return Promise
+      .all([
+        internals.listParts(request, bucket, info),
+        internals.getPendingLength(request, bucket, id)
+      ])
+      .then(([parts, pendingLength]) => {
+        const offset = parts.reduce((sum, part) => sum + part.Size, pendingLength);
+
+        return { info, offset, parts, pendingLength };
+      });
+  };
+
+  return internals.getInfo(request, bucket, id)
+    .then(getOffset);
+};
+
+
+/**
+ * appends the payload stream to the upload and resolves with the new offset
+ *
+ * - the pending bytes and the payload are uploaded as parts of `partSize`
+ * - the remaining bytes are stored as pending bytes, to be prepended to the next payload
+ * - the multipart upload is completed, once all bytes are received
+ * - received bytes are kept, if the client disconnects or exceeds the upload length
+ */
+internals.appendStream = function (request, bucket, id, upload) {
+
+  const { partSize } = internals.getSettings(request);
+  const { partKey } = internals.getStateKeys(request, id);
+  const { info } = upload;
+  const stream = request.payload;
+  const parts = upload.parts.map(({ PartNumber, ETag }) => ({ PartNumber, ETag }));
+
+  let offset = upload.offset;
+  let chunks = [];
+  let buffered = 0;
+  let hasPendingObject = upload.pendingLength > 0;
+
+  // load the pending bytes, which are prepended to the payload
+  const loadPending = function () {
+    if (!hasPendingObject) {
+      return null;
+    }
+
+    return internals.send(request, 'getObject', { Bucket: bucket, Key: partKey })
+      .then((data) => {
+        chunks = [data.Body];
+        buffered = data.Body.length;
+      });
+  };
+
+  // upload the next part, the pending object is obsolete afterwards
+  const uploadPart = function (body) {
+    const partNumber = parts.length + 1;
+    const params = {
+      Bucket: bucket,
+      Key: info.key,
+      UploadId: info.uploadId,
+      PartNumber: partNumber,
+      Body: body
+    };
+
+    return internals.send(request, 'uploadPart', params)
+      .then((data) => {
+        parts.push({ PartNumber: partNumber, ETag: data.ETag });
+
+        if (!hasPendingObject) {
+          return null;
+        }
+
+        hasPendingObject = false;
+        return internals.deleteObject(request, bucket, partKey);
+      });
+  };
+
+  // upload all complete parts of the buffered bytes
+  const uploadParts = function () {
+    let promise = Promise.resolve();
+
+    while (buffered >= partSize) {
+      const buffer = Buffer.concat(chunks);
+      const body = buffer.slice(0, partSize);
+
+      chunks = [buffer.slice(partSize)];
+      buffered -= partSize;
+      promise = promise.then(() => uploadPart(body));
+    }
+
+    return promise;
+  };
+
+  // resolves with an error, if the payload was not received completely
+  const readStream = function () {
+    return new Promise((resolve, reject) => {
+      let writing = Promise.resolve();
+      let isDone = false;
+
+      // ignore the rest of the payload, once finished
+      const finish = function (err) {
+        if (isDone) {
+          return;
+        }
+
+        isDone = true;
+        stream.resume();
+
+        writing.then(() => resolve(err), reject);
+      };
+
+      const onData = function (chunk) {
+        if (isDone) {
+          return;
+        }
+
+        if (offset + chunk.length > info.length) {
+          finish(Boom.entityTooLarge(`the upload exceeds its length of ${info.length} bytes`));
+          return;
+        }
+
+        offset += chunk.length;
+        chunks.push(chunk);
+        buffered += chunk.length;
+
+        if (buffered >= partSize) {
+          stream.pause();
+
+          writing = writing
+            .then(uploadParts)
+            .then(() => stream.resume(), (err) => {
+              finish();
+              return Promise.reject(err);
+            });
+        }
+      };
+
+      stream.on('data', onData);
+      stream.once('end', () => finish());
+      stream.once('error', () => finish(Boom.badRequest('the upload was interrupted')));
+      stream.once('close', () => finish(Boom.badRequest('the upload was interrupted')));
+    });
+  };
+
+  // the remaining bytes are the last part, which can be smaller than `partSize`
+  const complete = function () {
+    const { atomicCreate } = request.route.settings.plugins.s3;
+    const { IfNoneMatch } = Upload.getCreateOnlyParams(request, info.conflict, 'error');
+    const params = Helpers.compactObject({
+      Bucket: bucket,
+      Key: info.key,
+      UploadId: info.uploadId,
+      MultipartUpload: { Parts: parts },
+      IfNoneMatch
+    });
+
+    // the key was created by another upload
+    const rejectConflict = function () {
+      return internals.terminate(request, bucket, id)
+        .then(() => Promise.reject(Boom.conflict(`the file s3://${bucket}/${info.key} does already exist`)));
+    };
+
+    const completeUpload = function () {
+      return internals.send(request, 'completeMultipartUpload', params)
+        .catch((err) => {
+          if (IfNoneMatch && [409, 412].includes(err.output.statusCode)) {
+            return rejectConflict();
+          }
+
+          return Promise.reject(err);
+        });
+    };
+
+    // without conditional writes the key is checked again before completing,
+    // with `atomicCreate=lock` under the lock of the key
+    const checkAndCompleteUpload = function () {
+      if (IfNoneMatch || !Upload.isCreateOnly(request, info.conflict, 'error')) {
+        return completeUpload();
+      }
+
+      const checkKey = function () {
+        return Helpers.getObjectMetaData(request, bucket, info.key)
+          .then(rejectConflict, (err) => {
+            if (err.isBoom && err.output.statusCode === 404) {
+              return completeUpload();
+            }
+
+            return Promise.reject(err);
+          });
+      };
+
+      if (atomicCreate !== 'lock') {
+        return checkKey();
+      }
+
+      return Lock.acquire(request, bucket, info.key)
+        .then((lock) => checkKey()
+          .then(
+            () => lock.release(),
+            (err) => lock.release().then(() => Promise.reject(err))
+          ));
+    };
+
+    // an empty part only for empty uploads
+    const lastPart = (buffered || !parts.length) ? uploadPart(Buffer.concat(chunks)) : null;
+
+    return Promise.resolve(lastPart)
+      .then(checkAndCompleteUpload)
+      .then(() => internals.putInfo(request, bucket, id, Object.assign({}, info, { completed: true })));
+  };
+
+  // store the remaining bytes, to be prepended to the next payload
+  const storePending = function () {
+    if (!buffered) {
+      return null;
+    }
+
+    return internals.send(request, 'putObject', { Bucket: bucket, Key: partKey, Body: Buffer.concat(chunks) });
+  };
+
+  return Promise.resolve()
+    .then(loadPending)
+    .then(readStream)
+    .then((err) => {
+      if (!err && offset === info.length) {
+        return complete()
+          .then(() => offset);
+      }
+
+      return storePending()
+        .then(() => (err ? Promise.reject(err) : offset));
+    });
+};
+
+
+/**
+ * s3 request-handler definition for `OPTIONS` requests, reports the
+ * supported protocol version and extensions
+ */
+Tus.optionsHandler = function (request, reply) {
+
+  const { maxSize } = internals.getSettings(request);
+
+  return internals.replyWithHeaders(reply, 204, {
+    'Tus-Version': internals.version,
+    'Tus-Extension': internals.extensions.join(','),
+    'Tus-Max-Size': maxSize
+  });
+};
+
+
+/**
+ * s3 request-handler definition for `POST` requests, creates a new upload
+ */
+Tus.createHandler = function (request, reply) {
+
+  const { expires, maxSize } = internals.getSettings(request);
+  const expiresAt = Date.now() + expires;
+  const id = `${expiresAt}-${Crypto.randomBytes(16).toString('hex')}`;
+
+  // validate the `Upload-Length` and `Upload-Metadata` headers
+  const getLengthAndMetadata = function () {
+    const { 'upload-length': length, 'upload-metadata': metadata } = request.headers;
+
+    if (!/^\d+$/.test(length)) {
+      throw Boom.badRequest('missing or invalid upload-length header');
+    }
+
+    if (maxSize && parseInt(length, 10) > maxSize) {
+      throw Boom.entityTooLarge(`the upload should not exceed ${maxSize} bytes`);
+    }
+
+    return [parseInt(length, 10), internals.parseMetadata(metadata)];
+  };
+
+  // resolve `bucket` and `key`, the `filename` metadata is used as file key
+  const getBucketAndKey = function ([length, metadata]) {
+    const { randomPostKeys: randomize } = request.route.settings.plugins.s3;
+    const fileKey = metadata.filename ? Path.basename(metadata.filename) : id;
+
+    return Promise
+      .all([
+        Helpers.getBucket(request),
+        Helpers.getKey(request, { fileKey, randomize })
+      ])
+      .then(([bucket, key]) => [bucket, key, length, metadata]);
+  };
+
+  // terminate expired uploads in the background, failures do not affect the new upload
+  const cleanup = function ([bucket, key, length, metadata]) {
+    internals.cleanup(request, bucket)
+      .catch((err) => request.log(['s3', 'tus', 'error'], err));
+
+    return [bucket, key, length, metadata];
+  };
+
+  // apply the `onConflict` mode if the file already exists (rejects with 409 by default),
+  // a lock cannot span the requests of the upload, the key is checked again on completion
+  // (atomically with `atomicCreate`)
+  const resolveConflict = function ([bucket, key, length, metadata]) {
+    return Upload.resolveConflict(request, bucket, key, 'error')
+      .then(({ key, conflict, lock }) => {
+        const release = lock ? lock.release() : null;
+
+        return Promise.resolve(release)
+          .then(() => [bucket, key, conflict, length, metadata]);
+      });
+  };
+
+  // resolve the content type and disposition from the `filetype` and `filename` metadata
+  const getContentDispositionAndType = function ([bucket, key, conflict, length, metadata]) {
+    const disposition = metadata.filename ? ContentDisposition(metadata.filename) : undefined;
+
+    return Promise
+      .all([
+        Helpers.getContentType(request, bucket, key, { ContentType: metadata.filetype }),
+        Helpers.getContentDisposition(request, bucket, key, { ContentDisposition: disposition })
+      ])
+      .then(([type, disposition]) => [bucket, key, conflict, length, type, disposition]);
+  };
+
+  // check if content type is allowed, if necessary
+  const assertUploadIsValid = function ([bucket, key, conflict, length, type, disposition]) {
+    const { allowedContentTypes } = request.route.settings.plugins.s3;
+
+    if (allowedContentTypes && !Helpers.hasMatch(allowedContentTypes, type)) {
+      const msg = `for upload "${key}" "content-type" is not allowed to be: [${type}]`;
+      return Promise.reject(Boom.unsupportedMediaType(msg));
+    }
+
+    return [bucket, key, conflict, length, type, disposition];
+  };
+
+  // create the multipart upload and store the upload info
+  const createUpload = function ([bucket, key, conflict, length, type, disposition]) {
+    const params = Helpers.compactObject({
+      Bucket: bucket,
+      Key: key,
+      ContentType: type,
+      ContentDisposition: disposition
+    });
+
+    return internals.send(request, 'createMultipartUpload', params)
+      .then(({ UploadId: uploadId }) => internals.putInfo(request, bucket, id, Helpers.compactObject({
+        key,
+        uploadId,
+        length,
+        metadata: request.headers['upload-metadata'],
+        conflict
+      })));
+  };
+
+  // reply with the location of the upload
+  const replyCreated = function () {
+    return internals.replyWithHeaders(reply, 201, {
+      Location: `${request.path.replace(/\/+$/, '')}/${id}`,
+      'Upload-Expires': new Date(expiresAt).toUTCString()
+    });
+  };
+
+  return internals.assertVersion(request)
+    .then(getLengthAndMetadata)
+    .then(getBucketAndKey)
+    .then(cleanup)
+    .then(resolveConflict)
+    .then(getContentDispositionAndType)
+    .then(assertUploadIsValid)
+    .then(createUpload)
+    .then(replyCreated)
+    .catch(internals.replyWithError(request, reply));
+};
+
+
+/**
+ * s3 request-handler definition for `HEAD` requests, reports the offset
+ * of the upload
+ */
+Tus.headHandler = function (request, reply) {
+
+  const getUpload = function () {
+    const id = internals.getId(request);
+
+    return Helpers.getBucket(request)
+      .then((bucket) => internals.getUpload(request, bucket, id))
+      .then((upload) => [id, upload]);
+  };
+
+  // unfinished uploads report their expiry
+  const replyWithOffset = function ([id, { info, offset }]) {
+    return internals.replyWithHeaders(reply, 200, {
+      'Upload-Offset': offset,
+      'Upload-Length': info.length,
+      'Upload-Metadata': info.metadata,
+      'Upload-Expires': info.completed ? undefined : new Date(parseInt(id, 10)).toUTCString(),
+      'Cache-Control': 'no-store'
+    });
+  };
+
+  return internals.assertVersion(request)
+    .then(getUpload)
+    .then(replyWithOffset)
+    .catch(internals.replyWithError(request, reply));
+};
+
+
+/**
+ * s3 request-handler definition for `PATCH` requests, appends the payload
+ * at the given offset
+ */
+Tus.patchHandler = function (request, reply) {
+
+  // validate the content type and the `Upload-Offset` header
+  const assertRequestIsValid = function () {
+    const { 'content-type': contentType, 'upload-offset': offset } = request.headers;
+
+    if (contentType !== internals.contentType) {
+      throw Boom.unsupportedMediaType(`request must be a "${internals.contentType}" but found "${contentType}"`);
+    }
+
+    if (!/^\d+$/.test(offset)) {
+      throw Boom.badRequest('missing or invalid upload-offset header');
+    }
+
+    return Helpers.getBucket(request)
+      .then((bucket) => [bucket, internals.getId(request), parseInt(offset, 10)]);
+  };
+
+  // the payload must start at the current offset of the upload
+  const getUpload = function ([bucket, id, offset]) {
+    return internals.getUpload(request, bucket, id)
+      .then((upload) => {
+        if (upload.offset !== offset) {
+          return Promise.reject(Boom.conflict(`the upload offset should be ${upload.offset}, but found ${offset}`));
+        }
+
+        return upload;
+      });
+  };
+
+  // the offset is checked and the payload appended under the lock of the upload
+  const appendStream = function ([bucket, id, offset]) {
+    return internals.acquireLock(request, bucket, id)
+      .then((lock) => getUpload([bucket, id, offset])
+        .then((upload) => internals.appendStream(request, bucket, id, upload))
+        .then(
+          (newOffset) => lock.release().then(() => newOffset),
+          (err) => lock.release().then(() => Promise.reject(err))
+        ));
+  };
+
+  const replyWithOffset = function (offset) {
+    return internals.replyWithHeaders(reply, 204, { 'Upload-Offset': offset });
+  };
+
+  return internals.assertVersion(request)
+    .then(assertRequestIsValid)
+    .then(appendStream)
+    .then(replyWithOffset)
+    .catch(internals.replyWithError(request, reply));
+};
+
+
+// the payload is limited by the upload length
+Tus.patchHandler.defaults = {
+  payload: {
+    output: 'stream',
+    parse: false,
+    maxBytes: Number.MAX_SAFE_INTEGER
+  }
+};
+
+
+/**
+ * s3 request-handler definition for `DELETE` requests, terminates the upload
+ */
+Tus.deleteHandler = function (request, reply) {
+
+  const terminate = function () {
+    return Helpers.getBucket(request)
+      .then((bucket) => {
+        const id = internals.getId(request);
+
+        // reject with 404 (Not Found) for unknown uploads
+        return internals.getInfo(request, bucket, id)
+          .then(() => internals.terminate(request, bucket, id));
+      });
+  };
+
+  return internals.assertVersion(request)
+    .then(terminate)
+    .then(() => internals.replyWithHeaders(reply, 204))
+    .catch(internals.replyWithError(request, reply));
+};
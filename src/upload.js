@@ -2,11 +2,19 @@
  * Handler for serving files from S3
  */
 
+const Crypto = require('crypto');
+const Path = require('path');
+const Stream = require('stream');
+
 const Boom = require('boom');
 const Content = require('content');
 const Hoek = require('hoek');
 
+const Digest = require('./digest');
 const Helpers = require('./helpers');
+const Lock = require('./lock');
+const Scan = require('./scan');
+const Sniff = require('./sniff');
 
 const internals = {};
 const Upload = exports;
@@ -38,41 +46,678 @@ internals.getFileKey = function (file) {
 };
 
 
+// ETags of objects uploaded in multiple parts end with the number of parts
+internals.multipartETagRx = /-\d+"?$/;
+
+
+// modes to handle uploads to existing keys
+internals.conflictModes = ['error', 'replace', 'rename'];
+
+
 /**
- * uploads the given file and resolves with the S3 response data
+ * resolves with the first free key, adding ` (1)`, ` (2)`, ... before the extension
  */
-internals.uploadStream = function (request, bucket, key, file, params = {}) {
+internals.getFreeKey = function (request, bucket, key) {
 
-  if (!bucket || !key) {
-    return Promise.reject(Helpers.BadImplementationError('bucket or key should not be empty'));
+  const ext = Path.extname(key);
+  const dirname = Path.dirname(key);
+  const basename = Path.basename(key, ext);
+
+  const tryKey = function (count) {
+    const candidate = Path.join(dirname, `${basename} (${count})${ext}`);
+
+    return Helpers.getObjectMetaData(request, bucket, candidate)
+      .then(() => tryKey(count + 1))
+      .catch((err) => {
+        // only catch wrapped 404 errors
+        if (err.isBoom && err.output.statusCode === 404) {
+          return candidate;
+        }
+
+        return Promise.reject(err);
+      });
+  };
+
+  return tryKey(1);
+};
+
+
+/**
+ * resolves with the key to upload to, if the object already exists the
+ * `onConflict` mode decides:
+ *
+ * - `error`: reject with 409 (Conflict)
+ * - `replace`: overwrite the existing object
+ * - `rename`: upload to the first free key (e.g. `report (1).pdf`)
+ * - if function: onConflict(request, { bucket, key, metaData }) -> Promise|String
+ *   - resolves with one of the modes above
+ *
+ * with `atomicCreate=lock`, the lock of the key is acquired first, unless
+ * existing objects are always replaced
+ *
+ * @param {String} defaultMode - if `onConflict` is not given
+ * @resolves {Object<{ key, [conflict], [lock] }>}
+ * - `conflict`: the applied mode, if the object exists
+ * - `lock`: the acquired lock, should be released after the upload
+ */
+Upload.resolveConflict = function (request, bucket, key, defaultMode) {
+
+  const { onConflict, atomicCreate } = request.route.settings.plugins.s3;
+
+  const getMode = function (metaData) {
+    if (typeof onConflict === 'function') {
+      return Promise.resolve(onConflict(request, { bucket, key, metaData }));
+    }
+
+    return onConflict || defaultMode;
+  };
+
+  const applyMode = function (mode) {
+    if (mode === 'replace') {
+      return { key, conflict: mode };
+    }
+
+    if (mode === 'rename') {
+      return internals.getFreeKey(request, bucket, key)
+        .then((freeKey) => ({ key: freeKey, conflict: mode }));
+    }
+
+    if (mode === 'error') {
+      return Promise.reject(Boom.conflict(`the file s3://${bucket}/${key} does already exist`));
+    }
+
+    const msg = `"onConflict" should resolve one of [${internals.conflictModes}], but resolved: ${mode}`;
+    return Promise.reject(Helpers.BadImplementationError(msg));
+  };
+
+  // load s3 object meta data, resolves `null` if the file does not exist
+  const getObjectMetaData = function () {
+    return Helpers.getObjectMetaData(request, bucket, key)
+      .catch((err) => {
+        // only catch wrapped 404 errors
+        if (err.isBoom && err.output.statusCode === 404) {
+          return null;
+        }
+
+        return Promise.reject(err);
+      });
+  };
+
+  const resolveKey = function () {
+    return getObjectMetaData()
+      .then((metaData) => {
+        if (!metaData) {
+          return { key };
+        }
+
+        return Promise.resolve(metaData)
+          .then(getMode)
+          .then(applyMode);
+      });
+  };
+
+  if (atomicCreate !== 'lock' || (onConflict || defaultMode) === 'replace') {
+    return resolveKey();
   }
 
-  const s3 = Helpers.getS3Client(request);
+  // release the lock again, if the upload is rejected
+  return Lock.acquire(request, bucket, key)
+    .then((lock) => resolveKey()
+      .then(
+        (result) => Object.assign(result, { lock }),
+        (err) => lock.release().then(() => Promise.reject(err))
+      ));
+};
 
-  const uploadParams = Object.assign({}, params, {
-    Bucket: bucket,
-    Key: key,
-    Body: file
+
+/**
+ * tests if the upload should only create the key, i.e. an existing object
+ * is not replaced anyway
+ *
+ * @param {String} [conflict] - the applied `onConflict` mode
+ * @param {String} defaultMode - if `onConflict` is not given
+ * @return {Boolean}
+ */
+Upload.isCreateOnly = function (request, conflict, defaultMode) {
+
+  const { onConflict } = request.route.settings.plugins.s3;
+
+  return conflict ? conflict !== 'replace' : (onConflict || defaultMode) !== 'replace';
+};
+
+
+/**
+ * returns the params to upload only if the key does not exist (yet), as
+ * another upload might have created it since the conflict was resolved
+ *
+ * - only with `atomicCreate=conditional` (S3 rejects the upload with 412)
+ * - not if the existing object is replaced anyway
+ *
+ * @param {String} [conflict] - the applied `onConflict` mode
+ * @param {String} defaultMode - if `onConflict` is not given
+ * @return {Object<{ [IfNoneMatch] }>}
+ */
+Upload.getCreateOnlyParams = function (request, conflict, defaultMode) {
+
+  const { atomicCreate } = request.route.settings.plugins.s3;
+
+  if (atomicCreate !== 'conditional' || !Upload.isCreateOnly(request, conflict, defaultMode)) {
+    return {};
+  }
+
+  return { IfNoneMatch: '*' };
+};
+
+
+/**
+ * resolves with the maximum size of a file in bytes
+ *
+ * - if function: maxFileSize(request, { bucket, key, contentType }) -> Promise|Number
+ *
+ * @resolves {Number|undefined} - `undefined` if not limited
+ */
+internals.getMaxFileSize = function (request, bucket, key, contentType) {
+
+  const { maxFileSize } = request.route.settings.plugins.s3;
+
+  if (typeof maxFileSize !== 'function') {
+    return Promise.resolve(maxFileSize);
+  }
+
+  return Promise.resolve(maxFileSize(request, { bucket, key, contentType }))
+    .then((size) => (typeof size === 'number' ? size : undefined));
+};
+
+
+/**
+ * detects the content type of the file by its first bytes (`sniffContentType`)
+ *
+ * - rejects with 415 (Unsupported Media Type) if the content type does not match the content
+ * - if sniffContentType=detected: the detected type replaces the content type, if any,
+ *   and is checked against `allowedContentTypes`
+ *
+ * @param {Stream} file
+ * @param {String} name - the form key (or S3 key) used in error messages
+ * @param {String} [type] - the resolved content type
+ * @resolves {Object<{ file, type }>} - `file`: stream holding all bytes of the file
+ */
+internals.sniffContentType = function (request, file, name, type) {
+
+  const { sniffContentType, allowedContentTypes } = request.route.settings.plugins.s3;
+
+  if (!sniffContentType) {
+    return Promise.resolve({ file, type });
+  }
+
+  return Sniff.peek(file)
+    .then(({ head, stream }) => {
+      const detected = Sniff.detect(head);
+
+      if (!Sniff.matches(type, detected)) {
+        const msg = `for upload "${name}" "content-type" [${type}] does not match the content: [${detected}]`;
+        return Promise.reject(Boom.unsupportedMediaType(msg));
+      }
+
+      if (sniffContentType !== 'detected' || !detected || detected === type) {
+        return { file: stream, type };
+      }
+
+      // check if the detected content type is allowed, if necessary
+      if (allowedContentTypes && !Helpers.hasMatch(allowedContentTypes, detected)) {
+        const msg = `for upload "${name}" "content-type" is not allowed to be: [${detected}]`;
+        return Promise.reject(Boom.unsupportedMediaType(msg));
+      }
+
+      return { file: stream, type: detected };
+    });
+};
+
+
+/**
+ * returns a stream of the given file, which errors with 413 (Payload Too Large)
+ * as soon as the file exceeds `maxFileSize` or all files exceed `total.maxTotalSize`
+ *
+ * - the managed upload aborts the S3 upload on errors of the stream
+ *
+ * @param {String} name - the form key (or S3 key) used in error messages
+ * @param {Object} limits
+ * @param {Number} [limits.maxFileSize]
+ * @param {Object} [limits.total] - counter shared by all files of the request: `{ bytes, maxTotalSize }`
+ * @return {Stream}
+ */
+internals.limitStream = function (file, name, { maxFileSize, total }) {
+
+  let bytes = 0;
+
+  const limited = new Stream.Transform({
+    transform(chunk, encoding, next) {
+      bytes += chunk.length;
+
+      if (total) {
+        total.bytes += chunk.length;
+      }
+
+      if (maxFileSize !== undefined && bytes > maxFileSize) {
+        return next(Boom.entityTooLarge(`the file "${name}" exceeds the maximum size of ${maxFileSize} bytes`));
+      }
+
+      if (total && total.bytes > total.maxTotalSize) {
+        const msg = `the file "${name}" exceeds the maximum total size of ${total.maxTotalSize} bytes`;
+        return next(Boom.entityTooLarge(msg));
+      }
+
+      return next(null, chunk);
+    }
+  });
+
+  // stop reading, but drain the rest of the file
+  limited.once('error', () => {
+    file.unpipe(limited);
+    file.resume();
+  });
+
+  file.once('error', (err) => limited.emit('error', err));
+
+  return file.pipe(limited);
+};
+
+
+/**
+ * returns a stream of the given form data value, form fields without a filename are strings
+ *
+ * @param {Stream|String|Buffer} value
+ * @return {Stream}
+ */
+internals.toStream = function (value) {
+
+  if (typeof value !== 'string' && !Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  const stream = new Stream.PassThrough();
+  stream.end(value);
+
+  return stream;
+};
+
+
+/**
+ * returns a stream of the given file, which is tracked in `inFlight` until it ends
+ *
+ * - emitting an error on the stream aborts the upload (and its multipart upload)
+ * - uploads of ended files are not aborted, as S3 might complete them anyway
+ *
+ * @param {Object} upload - `{ file, key }`: the form key and S3 key of the upload
+ * @param {Array<Object>} inFlight - `[{ file, key, stream }]`, shared by all files of the request
+ * @return {Stream}
+ */
+internals.trackStream = function (file, upload, inFlight) {
+
+  const tracked = new Stream.PassThrough();
+  const entry = Object.assign({}, upload, { stream: tracked });
+
+  const untrack = function () {
+    const index = inFlight.indexOf(entry);
+
+    if (index !== -1) {
+      inFlight.splice(index, 1);
+    }
+  };
+
+  inFlight.push(entry);
+  tracked.once('end', untrack);
+
+  // stop reading, but drain the rest of the file
+  tracked.once('error', () => {
+    untrack();
+    file.unpipe(tracked);
+    file.resume();
   });
 
+  file.once('error', (err) => tracked.emit('error', err));
+
+  return file.pipe(tracked);
+};
+
+
+/**
+ * deletes the given object (version)
+ *
+ * @param {String} [versionId]
+ */
+internals.deleteObject = function (request, bucket, key, versionId) {
+
+  const s3 = Helpers.getS3Client(request);
+  const deleteParams = Helpers.compactObject({ Bucket: bucket, Key: key, VersionId: versionId });
+
   return new Promise((resolve, reject) => {
-    s3.upload(uploadParams, (err, data) => {
+    s3.deleteObject(deleteParams, (err) => {
 
       if (err) {
         return reject(Helpers.S3Error(err, { bucket, key }));
       }
 
-      return resolve(data);
+      return resolve();
     });
   });
 };
 
 
+/**
+ * like `Promise.all`, but settles all promises before rejecting with the first error,
+ * e.g. so that no file still holds or acquires a lock when the locks are released
+ *
+ * @param {Array<Promise>} promises
+ * @resolves {Array}
+ */
+internals.settleAll = function (promises) {
+
+  let failure;
+
+  return Promise
+    .all(promises.map((promise) => {
+      return Promise.resolve(promise)
+        .catch((err) => {
+          failure = failure || err;
+          return null;
+        });
+    }))
+    .then((results) => (failure ? Promise.reject(failure) : results));
+};
+
+
+/**
+ * releases the given upload locks
+ */
+internals.releaseLocks = function (locks) {
+
+  return Promise.all(locks.map((lock) => lock.release()));
+};
+
+
+/**
+ * returns the `CopySource` of the given object, the key is URL encoded by segment
+ * (S3 compatible services don't all decode encoded slashes)
+ *
+ * @return {String}
+ */
+internals.getCopySource = function (bucket, key) {
+
+  return `${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+};
+
+
+/**
+ * replaces the user meta data of an uploaded object by copying it onto itself,
+ * the replaced version is deleted on versioned buckets
+ *
+ * @param {Object} params - params of the upload
+ * @param {Object} data - S3 response data of the upload
+ * @resolves {Object<{ ETag, VersionId }>} - of the copy
+ */
+internals.replaceMetadata = function (request, params, data) {
+
+  const { Bucket: bucket, Key: key } = params;
+  const s3 = Helpers.getS3Client(request);
+
+  const copyParams = Helpers.compactObject({
+    Bucket: bucket,
+    Key: key,
+    CopySource: internals.getCopySource(bucket, key),
+    CopySourceVersionId: data.VersionId,
+    MetadataDirective: 'REPLACE',
+    Metadata: params.Metadata,
+    ContentType: params.ContentType,
+    ContentDisposition: params.ContentDisposition,
+    SSECustomerAlgorithm: params.SSECustomerAlgorithm,
+    SSECustomerKey: params.SSECustomerKey,
+    SSECustomerKeyMD5: params.SSECustomerKeyMD5,
+    CopySourceSSECustomerAlgorithm: params.SSECustomerAlgorithm,
+    CopySourceSSECustomerKey: params.SSECustomerKey,
+    CopySourceSSECustomerKeyMD5: params.SSECustomerKeyMD5
+  });
+
+  const copyObject = function () {
+    return new Promise((resolve, reject) => {
+      s3.copyObject(copyParams, (err, copied) => {
+
+        if (err) {
+          return reject(Helpers.S3Error(err, { bucket, key }));
+        }
+
+        return resolve({ ETag: copied.CopyObjectResult.ETag, VersionId: copied.VersionId });
+      });
+    });
+  };
+
+  const deleteVersion = function (copied) {
+    if (!data.VersionId || data.VersionId === copied.VersionId) {
+      return copied;
+    }
+
+    return new Promise((resolve, reject) => {
+      s3.deleteObject({ Bucket: bucket, Key: key, VersionId: data.VersionId }, (err) => {
+
+        if (err) {
+          return reject(Helpers.S3Error(err, { bucket, key }));
+        }
+
+        return resolve(copied);
+      });
+    });
+  };
+
+  return copyObject()
+    .then(deleteVersion);
+};
+
+
+/**
+ * uploads the given file and resolves with the S3 response data
+ *
+ * - the MD5 and SHA-256 digests of the file are computed while streaming, stored as S3 user
+ *   meta data (`content-md5`, `content-sha256`) and added to the data as `ContentMD5` and `ContentSHA256`
+ * - the upload is aborted with 400 (Bad Request) if the file does not match the expected digests
+ *
+ * @param {Object} [options] - options of the managed upload (e.g. `partSize`)
+ * @param {String} [options.name] - the form key (or S3 key) used in error messages
+ * @param {Array<Object>} [options.expected] - the expected digests (see `Digest.parse`)
+ */
+internals.uploadStream = function (request, bucket, key, file, params = {}, options = {}) {
+
+  if (!bucket || !key) {
+    return Promise.reject(Helpers.BadImplementationError('bucket or key should not be empty'));
+  }
+
+  const s3 = Helpers.getS3Client(request);
+  const { name = key, expected = [] } = options;
+  const managedOptions = Helpers.omit(options, ['name', 'expected']);
+
+  const upload = function (sseParams) {
+    // filled with the digests before the file ends
+    const metadata = Object.assign({}, params.Metadata);
+
+    const uploadParams = Object.assign({}, params, sseParams, {
+      Bucket: bucket,
+      Key: key,
+      Metadata: metadata,
+      Body: Digest.stream(file, name, expected, metadata)
+    });
+
+    return new Promise((resolve, reject) => {
+      s3.upload(uploadParams, managedOptions, (err, data) => {
+
+        // e.g. the file exceeds a size limit
+        if (err && err.isBoom) {
+          return reject(err);
+        }
+
+        // the key was created by another upload
+        if (err && params.IfNoneMatch && [409, 412].includes(err.statusCode)) {
+          return reject(Boom.conflict(`the file s3://${bucket}/${key} does already exist`));
+        }
+
+        if (err) {
+          return reject(Helpers.S3Error(err, { bucket, key }));
+        }
+
+        return resolve([uploadParams, data]);
+      });
+    });
+  };
+
+  // multipart uploads are created with the meta data before the digests are known
+  const storeDigests = function ([uploadParams, data]) {
+    const { md5, sha256 } = Digest.fromMetadata(uploadParams.Metadata);
+    const result = Object.assign({}, data, { ContentMD5: md5, ContentSHA256: sha256 });
+
+    if (!internals.multipartETagRx.test(data.ETag)) {
+      return result;
+    }
+
+    return internals.replaceMetadata(request, uploadParams, data)
+      .then((copied) => Object.assign(result, Helpers.compactObject(copied)));
+  };
+
+  // encrypt with the customer provided key, if configured
+  return Helpers.getSSECustomerParams(request, bucket, key)
+    .then(upload)
+    .then(storeDigests);
+};
+
+
+/**
+ * uploads the given file, if `scan` is configured:
+ *
+ * - to the quarantine key `<quarantinePrefix><id>/<key>` first, which is scanned and copied to the key
+ *   if the file is clean, the quarantined object is deleted in any case
+ * - infected files are rejected with 422 (Unprocessable Entity)
+ * - create-only uploads are rejected with 409 (Conflict) if the key was created meanwhile,
+ *   as the copy is not conditional
+ *
+ * @param {Object} [options] - see `internals.uploadStream`
+ */
+internals.uploadScanned = function (request, bucket, key, file, params = {}, options = {}) {
+
+  const { scan, quarantinePrefix } = request.route.settings.plugins.s3;
+
+  if (!scan) {
+    return internals.uploadStream(request, bucket, key, file, params, options);
+  }
+
+  const { name = key } = options;
+  const quarantined = `${quarantinePrefix}${Crypto.randomBytes(16).toString('hex')}/`;
+  const quarantineKey = `${quarantined}${key}`;
+  const s3 = Helpers.getS3Client(request);
+
+  // resolves with the description of the found malware, if any
+  const scanFile = function (data) {
+    const scanner = Scan.getScanner(request);
+
+    return Helpers.getObjectStream(request, bucket, quarantineKey, Helpers.compactObject({ VersionId: data.VersionId }))
+      .then(({ stream, abort }) => {
+        return Promise.resolve()
+          .then(() => scanner(stream, { bucket, key, contentType: params.ContentType }))
+          .then(
+            (found) => {
+              abort();
+              return found;
+            },
+            (err) => {
+              abort();
+              return Promise.reject(err);
+            });
+      });
+  };
+
+  // reject with 409 (Conflict) if the key was created since the conflict was resolved
+  const assertCreateOnly = function () {
+    if (!params.IfNoneMatch) {
+      return null;
+    }
+
+    return Helpers.getObjectMetaData(request, bucket, key)
+      .then(
+        () => Promise.reject(Boom.conflict(`the file s3://${bucket}/${key} does already exist`)),
+        (err) => {
+          // only catch wrapped 404 errors
+          if (err.isBoom && err.output.statusCode === 404) {
+            return null;
+          }
+
+          return Promise.reject(err);
+        });
+  };
+
+  // copy the clean file to the key, keeping its meta data
+  const publish = function (data) {
+    const copyParams = Helpers.compactObject({
+      Bucket: bucket,
+      Key: key,
+      CopySource: internals.getCopySource(bucket, quarantineKey),
+      CopySourceVersionId: data.VersionId
+    });
+
+    return new Promise((resolve, reject) => {
+      s3.copyObject(copyParams, (err, copied) => {
+
+        if (err) {
+          return reject(Helpers.S3Error(err, { bucket, key }));
+        }
+
+        return resolve(Helpers.compactObject(Object.assign({}, data, {
+          Location: data.Location ? data.Location.replace(quarantined, '') : undefined,
+          Key: key,
+          key,
+          ETag: copied.CopyObjectResult.ETag,
+          VersionId: copied.VersionId
+        })));
+      });
+    });
+  };
+
+  // delete the quarantined object (and its version on versioned buckets)
+  const deleteQuarantined = function (data) {
+    return internals.deleteObject(request, bucket, quarantineKey, data.VersionId);
+  };
+
+  const quarantineParams = Helpers.omit(params, ['IfNoneMatch']);
+
+  return internals.uploadStream(request, bucket, quarantineKey, file, quarantineParams, options)
+    .then((data) => {
+      return scanFile(data)
+        .then((found) => {
+          if (found) {
+            return Promise.reject(Boom.badData(`the file "${name}" is infected: ${found}`));
+          }
+
+          return Promise.resolve()
+            .then(assertCreateOnly)
+            .then(() => publish(data));
+        })
+        .then(
+          (published) => deleteQuarantined(data).then(() => published),
+          (err) => deleteQuarantined(data).then(() => Promise.reject(err))
+        );
+    });
+};
+
+
 /**
  * s3 request-handler definition
  */
 Upload.handler = function (request, reply) {
 
+  // upload locks acquired for the files (`atomicCreate=lock`)
+  const locks = [];
+
+  // bytes uploaded by all files, for `maxTotalSize`
+  const { maxTotalSize, atomic, partialSuccess } = request.route.settings.plugins.s3;
+  const total = maxTotalSize === undefined ? undefined : { bytes: 0, maxTotalSize };
+
+  // files still streamed to S3, aborted on the first failure (`atomic`)
+  const inFlight = [];
+
   const getFiles = function () {
     const { payload } = request;
 
@@ -81,7 +726,47 @@ Upload.handler = function (request, reply) {
     }
 
     return Object.keys(payload)
-      .map((key) => ({ key, payload: payload[key] }));
+      .map((key) => ({ key, payload: internals.toStream(payload[key]) }));
+  };
+
+  // reject with 413 (Payload Too Large) if there are more files than `maxFiles`
+  const assertFileCount = function (files) {
+    const { maxFiles, ignoredFormKeys } = request.route.settings.plugins.s3;
+    const uploaded = files.filter((file) => !Helpers.hasMatch(ignoredFormKeys, file.key));
+
+    if (maxFiles !== undefined && uploaded.length > maxFiles) {
+      const msg = `the file "${uploaded[maxFiles].key}" exceeds the maximum number of ${maxFiles} files`;
+      return Promise.reject(Boom.entityTooLarge(msg));
+    }
+
+    return files;
+  };
+
+  // check for proper multipart files
+  const assertMultipart = function (files) {
+    const { headers } = request;
+
+    if (!files.length) {
+      return files;
+    }
+
+    if (!headers['content-type']) {
+      return Promise.reject(Boom.badData('missing content-type header'));
+    }
+
+    const contentType = Content.type(headers['content-type']);
+
+    if (contentType.mime !== 'multipart/form-data') {
+      const msg = `request must be a "multipart/form-data" but found "${contentType.mime}"`;
+      return Promise.reject(Boom.unsupportedMediaType(msg));
+    }
+
+    return files;
+  };
+
+  // resolve the failure of a single file (`partialSuccess`), instead of failing the request
+  const toFailure = function (file) {
+    return (err) => ({ file: file.key, error: Boom.wrap(err) });
   };
 
   // resolve `bucket` and `key`
@@ -97,23 +782,20 @@ Upload.handler = function (request, reply) {
       .then(([bucket, key]) => [file, bucket, key]);
   };
 
-  // load s3 object meta data, to ensure the file does not yet exist
-  const assertObjectDoesNotExist = function ([file, bucket, key]) {
-    return Helpers.getObjectMetaData(request, bucket, key)
-      // the file exists
-      .then(() => Promise.reject(Boom.conflict(`the file s3://${bucket}/${key} does already exist`)))
-      .catch((err) => {
-        // only catch wrapped 404 errors
-        if (err.isBoom && err.output.statusCode === 404) {
-          return [file, bucket, key];
+  // apply the `onConflict` mode if the file already exists (rejects with 409 by default)
+  const resolveConflict = function ([file, bucket, key]) {
+    return Upload.resolveConflict(request, bucket, key, 'error')
+      .then(({ key, conflict, lock }) => {
+        if (lock) {
+          locks.push(lock);
         }
 
-        return Promise.reject(err);
+        return [file, bucket, key, conflict];
       });
   };
 
   // resolve `filename` for the content disposition header
-  const getContentDispositionAndType = function ([file, bucket, key]) {
+  const getContentDispositionAndType = function ([file, bucket, key, conflict]) {
     const headers = Hoek.reach(file.payload, 'hapi.headers', { default: {} });
 
     return Promise
@@ -121,33 +803,14 @@ Upload.handler = function (request, reply) {
         Helpers.getContentType(request, bucket, key, { ContentType: headers['content-type'] }),
         Helpers.getContentDisposition(request, bucket, key, { ContentDisposition: headers['content-disposition'] })
       ])
-      .then(([type, disposition]) => [file, bucket, key, type, disposition]);
+      .then(([type, disposition]) => [file, bucket, key, conflict, type, disposition]);
   };
 
   // validate given file
-  const assertUploadIsValid = function ([file, bucket, key, type, disposition]) {
-    const {
-      headers,
-      route: { settings: { plugins: { s3: {
-        allowedContentTypes,
-        ignoredFormKeys
-      } } } }
-    } = request;
-
+  const assertUploadIsValid = function ([file, bucket, key, conflict, type, disposition]) {
+    const { allowedContentTypes, ignoredFormKeys } = request.route.settings.plugins.s3;
     const { key: fileKey } = file;
 
-    // check for proper multipart files
-    if (!headers['content-type']) {
-      return Promise.reject(Boom.badData('missing content-type header'));
-    }
-
-    const contentType = Content.type(headers['content-type']);
-
-    if (contentType.mime !== 'multipart/form-data') {
-      const msg = `request must be a "multipart/form-data" but found "${contentType.mime}"`;
-      return Promise.reject(Boom.unsupportedMediaType(msg));
-    }
-
     // check if content type is allowed, if necessary
     if (allowedContentTypes && !Helpers.hasMatch(allowedContentTypes, type)) {
       const msg = `for upload "${fileKey}" "content-type" is not allowed to be: [${type}]`;
@@ -159,12 +822,33 @@ Upload.handler = function (request, reply) {
       return null;
     }
 
-    return [file, bucket, key, type, disposition];
+    // expected digests of the `Content-MD5`, `Digest` and `Repr-Digest` headers of the form data entry,
+    // throws 400 (Bad Request) for invalid headers
+    const digests = Digest.parse(Hoek.reach(file.payload, 'hapi.headers', { default: {} }));
+
+    return [Object.assign({}, file, { digests }), bucket, key, conflict, type, disposition];
+  };
+
+  // check the content type against the first bytes of the file, if necessary
+  const sniffContentType = function (upload) {
+    // skipped form data entry
+    if (!upload) {
+      return null;
+    }
+
+    const [file, bucket, key, conflict, type, disposition] = upload;
+
+    return internals.sniffContentType(request, file.payload, file.key, type)
+      .then(({ file: payload, type }) => {
+        const sniffed = Object.assign({}, file, { payload });
+        return [sniffed, bucket, key, conflict, type, disposition];
+      });
   };
 
-  // get the s3 object stream
-  const uploadStream = function ([file, bucket, key, type, disposition]) {
-    const uploadParams = {};
+  // get the s3 object stream, limited by `maxFileSize` and `maxTotalSize` and checked against the
+  // expected digests
+  const uploadStream = function ([file, bucket, key, conflict, type, disposition]) {
+    const uploadParams = Upload.getCreateOnlyParams(request, conflict, 'error');
 
     if (type) {
       uploadParams.ContentType = type;
@@ -174,72 +858,166 @@ Upload.handler = function (request, reply) {
       uploadParams.ContentDisposition = disposition;
     }
 
-    return internals.uploadStream(request, bucket, key, file.payload, uploadParams)
-      .then((data) => [file, bucket, key, data, type, disposition]);
+    const upload = function (maxFileSize) {
+      const isLimited = maxFileSize !== undefined || total;
+      const limited = isLimited ? internals.limitStream(file.payload, file.key, { maxFileSize, total }) : file.payload;
+      const body = atomic ? internals.trackStream(limited, { file: file.key, key }, inFlight) : limited;
+
+      const options = { name: file.key, expected: file.digests };
+      return internals.uploadScanned(request, bucket, key, body, uploadParams, options);
+    };
+
+    return internals.getMaxFileSize(request, bucket, key, type)
+      .then(upload)
+      .then((data) => [file, bucket, key, conflict, data, type, disposition]);
   };
 
   // iterate through all files and prepare and validate them
   const prepareFiles = function (files) {
-    return Promise
-      .all(files.map((file) => {
-        return Promise.resolve(file)
+    return internals
+      .settleAll(files.map((file) => {
+        const prepared = Promise.resolve(file)
           .then(getBucketAndKey)
-          .then(assertObjectDoesNotExist)
+          .then(resolveConflict)
           .then(getContentDispositionAndType)
-          .then(assertUploadIsValid);
+          .then(assertUploadIsValid)
+          .then(sniffContentType);
+
+        return partialSuccess ? prepared.catch(toFailure(file)) : prepared;
       }))
       // filter empty results
       .then((files) => files.filter(Helpers.exists));
   };
 
-  // upload valid file
+  // upload valid file, failures (`partialSuccess`) are passed through
   const uploadFiles = function (files) {
-    return Promise.all(files.map((file) => {
-      return Promise.resolve(file)
+    return internals.settleAll(files.map((file) => {
+      if (!Array.isArray(file)) {
+        return file;
+      }
+
+      const uploaded = Promise.resolve(file)
         .then(uploadStream);
+
+      return partialSuccess ? uploaded.catch(toFailure(file[0])) : uploaded;
     }));
   };
 
+  // upload all files or none (`atomic`): on the first failure, abort the files in flight and
+  // delete the uploaded files, the error reports the rollback as `rollback: { deleted, aborted, replaced, failed }`
+  const uploadAtomic = function (files) {
+    const aborted = [];
+    let failure;
+
+    const abortInFlight = function (err) {
+      if (failure) {
+        return;
+      }
+
+      failure = err;
+
+      inFlight.splice(0).forEach(({ file, key, stream }) => {
+        aborted.push({ file, key });
+        stream.emit('error', new Error(`the upload of "${file}" was aborted`));
+      });
+    };
+
+    // delete the uploaded objects (only the uploaded version on versioned buckets), objects which replaced
+    // an object of an unversioned bucket are kept, deleting them would not restore the replaced object
+    const rollback = function (uploads) {
+      const deleted = [];
+      const replaced = [];
+      const failed = [];
+
+      return Promise
+        .all(uploads.map(([file, bucket, key, conflict, data]) => {
+          if (conflict === 'replace' && !data.VersionId) {
+            return replaced.push({ file: file.key, key });
+          }
+
+          return internals.deleteObject(request, bucket, key, data.VersionId)
+            .then(
+              () => deleted.push({ file: file.key, key }),
+              () => failed.push({ file: file.key, key })
+            );
+        }))
+        .then(() => {
+          const error = Boom.wrap(failure);
+          error.output.payload.rollback = { deleted, aborted, replaced, failed };
+
+          return Promise.reject(error);
+        });
+    };
+
+    return Promise
+      .all(files.map((file) => {
+        return Promise.resolve(file)
+          .then(uploadStream)
+          .catch((err) => abortInFlight(err));
+      }))
+      .then((uploads) => {
+        const uploaded = uploads.filter(Helpers.exists);
+
+        return failure ? rollback(uploaded) : uploaded;
+      });
+  };
+
   // reply with the meta data of the S3 Upload or delegate reply behaviour
-  // to `onResponse`
-  const replyCreated = function (uploads) {
+  // to `onResponse`, with `partialSuccess` the failures are replied as `{ error }` with 207 (Multi-Status)
+  const replyCreated = function (results) {
     const { onResponse } = request.route.settings.plugins.s3;
+    const uploads = results.filter(Array.isArray);
+    const failures = results.filter((result) => !Array.isArray(result));
+    const statusCode = partialSuccess ? 207 : 201;
 
-    const payload = uploads.reduce((memo, [file, bucket, key, data, type, disposition]) => { // eslint-disable-line no-unused-vars
+    const payload = uploads.reduce((memo, [file, bucket, key, conflict, data, type, disposition]) => { // eslint-disable-line no-unused-vars
 
       memo[file.key] = Helpers.compactObject(Object.assign({}, data, {
         ContentType: type,
-        ContentDisposition: disposition
+        ContentDisposition: disposition,
+        Conflict: conflict
       }));
 
       return memo;
     }, {});
 
+    failures.forEach(({ file, error }) => {
+      payload[file] = { error: error.output.payload };
+    });
+
     // delegate reply if configured
     if (onResponse) {
-      const options = {
-        uploads: uploads.map(([file, bucket, key, data, type, disposition]) => Helpers.compactObject({ // eslint-disable-line no-unused-vars
+      const options = Helpers.compactObject({
+        uploads: uploads.map(([file, bucket, key, conflict, data, type, disposition]) => Helpers.compactObject({ // eslint-disable-line no-unused-vars
           file: file.key,
           bucket,
           key,
           contentType: type,
           contentDisposition: disposition,
+          conflict,
           data: payload[file.key]
         })),
-        defaultStatusCode: 201
-      };
+        failures: partialSuccess ? failures : undefined,
+        defaultStatusCode: statusCode
+      });
 
       return onResponse(null, /* res*/payload, request, reply, options);
     }
 
     // default reply strategy
-    return reply(payload).code(201);
+    return reply(payload).code(statusCode);
   };
 
   return Promise.resolve()
     .then(getFiles)
+    .then(assertFileCount)
+    .then(assertMultipart)
     .then(prepareFiles)
-    .then(uploadFiles)
+    .then(atomic ? uploadAtomic : uploadFiles)
+    .then(
+      (uploads) => internals.releaseLocks(locks).then(() => uploads),
+      (err) => internals.releaseLocks(locks).then(() => Promise.reject(err))
+    )
     .then(replyCreated)
     .catch(Helpers.replyWithError(request, reply));
 };
@@ -252,3 +1030,179 @@ Upload.handler.defaults = {
     maxBytes: 1024 * 1024 * 10 // 10MB
   }
 };
+
+
+/**
+ * s3 request-handler definition for `PUT` requests, uploads the raw payload
+ * to a single key
+ */
+Upload.putHandler = function (request, reply) {
+
+  // upload lock acquired for the key (`atomicCreate=lock`)
+  const locks = [];
+
+  // the uploaded stream, replaced if the content is sniffed
+  let { payload } = request;
+
+  // resolve `bucket` and `key`
+  const getBucketAndKey = function () {
+    return Promise
+      .all([
+        Helpers.getBucket(request),
+        Helpers.getKey(request)
+      ]);
+  };
+
+  // apply the `onConflict` mode if the object already exists (replaces it by default)
+  const resolveConflict = function ([bucket, key]) {
+    return Upload.resolveConflict(request, bucket, key, 'replace')
+      .then(({ key, conflict, lock }) => {
+        if (lock) {
+          locks.push(lock);
+        }
+
+        return [bucket, key, conflict];
+      });
+  };
+
+  // resolve `filename` for the content disposition header
+  const getContentDispositionAndType = function ([bucket, key, conflict]) {
+    const { headers } = request;
+
+    return Promise
+      .all([
+        Helpers.getContentType(request, bucket, key, { ContentType: headers['content-type'] }),
+        Helpers.getContentDisposition(request, bucket, key, { ContentDisposition: headers['content-disposition'] })
+      ])
+      .then(([type, disposition]) => [bucket, key, conflict, type, disposition]);
+  };
+
+  // validate the content type and the `Content-MD5`, `Digest` and `Repr-Digest` headers
+  const assertUploadIsValid = function ([bucket, key, conflict, type, disposition]) {
+    const { allowedContentTypes } = request.route.settings.plugins.s3;
+    const { 'content-md5': contentMD5, 'content-length': contentLength } = request.headers;
+
+    // check if content type is allowed, if necessary
+    if (allowedContentTypes && !Helpers.hasMatch(allowedContentTypes, type)) {
+      const msg = `for upload "${key}" "content-type" is not allowed to be: [${type}]`;
+      return Promise.reject(Boom.unsupportedMediaType(msg));
+    }
+
+    // throws 400 (Bad Request) for invalid digest headers
+    Digest.parse(request.headers);
+
+    // the checksum can only be verified by S3 if the object is uploaded with a single request
+    if (contentMD5 && !contentLength) {
+      return Promise.reject(Boom.create(411, 'missing content-length header, required with content-md5'));
+    }
+
+    return [bucket, key, conflict, type, disposition];
+  };
+
+  // check the content type against the first bytes of the payload, if necessary
+  const sniffContentType = function ([bucket, key, conflict, type, disposition]) {
+    return internals.sniffContentType(request, payload, key, type)
+      .then(({ file, type }) => {
+        payload = file;
+        return [bucket, key, conflict, type, disposition];
+      });
+  };
+
+  // upload the payload stream limited by `maxFileSize`, checked against the expected digests,
+  // S3 verifies the `Content-MD5` as well
+  const uploadStream = function ([bucket, key, conflict, type, disposition]) {
+    const { 'content-md5': contentMD5, 'content-length': contentLength } = request.headers;
+
+    const createOnlyParams = Upload.getCreateOnlyParams(request, conflict, 'replace');
+    const uploadParams = Object.assign(createOnlyParams, Helpers.compactObject({
+      ContentType: type,
+      ContentDisposition: disposition,
+      ContentMD5: contentMD5
+    }));
+
+    // a single part (at least 5MB) holding the whole payload
+    const partSize = contentMD5 ? Math.max(parseInt(contentLength, 10), 1024 * 1024 * 5) : undefined;
+    const options = Helpers.compactObject({ partSize, expected: Digest.parse(request.headers) });
+
+    const upload = function (maxFileSize) {
+      if (maxFileSize === undefined) {
+        return internals.uploadScanned(request, bucket, key, payload, uploadParams, options);
+      }
+
+      // reject announced oversized payloads before uploading
+      if (parseInt(contentLength, 10) > maxFileSize) {
+        const msg = `the file "${key}" exceeds the maximum size of ${maxFileSize} bytes`;
+        return Promise.reject(Boom.entityTooLarge(msg));
+      }
+
+      const body = internals.limitStream(payload, key, { maxFileSize });
+      return internals.uploadScanned(request, bucket, key, body, uploadParams, options);
+    };
+
+    return internals.getMaxFileSize(request, bucket, key, type)
+      .then(upload)
+      .then((data) => [bucket, key, conflict, data, type, disposition]);
+  };
+
+  // reply with the meta data of the S3 Upload or delegate reply behaviour
+  // to `onResponse`
+  const replyUploaded = function ([bucket, key, conflict, data, type, disposition]) {
+    const { onResponse } = request.route.settings.plugins.s3;
+    // replaced objects are answered with 200, new objects with 201
+    const statusCode = conflict === 'replace' ? 200 : 201;
+
+    const payload = Helpers.compactObject(Object.assign({}, data, {
+      ContentType: type,
+      ContentDisposition: disposition,
+      Conflict: conflict
+    }));
+
+    // delegate reply if configured
+    if (onResponse) {
+      const options = Helpers.compactObject({
+        bucket,
+        key,
+        contentType: type,
+        contentDisposition: disposition,
+        conflict,
+        versionId: data.VersionId,
+        defaultStatusCode: statusCode,
+        data: payload
+      });
+
+      return onResponse(null, /* res */payload, request, reply, options);
+    }
+
+    // default reply strategy
+    const response = reply(payload).code(statusCode);
+
+    if (data.VersionId) {
+      response.header('X-Version-Id', data.VersionId);
+    }
+
+    return response;
+  };
+
+  return Promise.resolve()
+    .then(getBucketAndKey)
+    .then(resolveConflict)
+    .then(getContentDispositionAndType)
+    .then(assertUploadIsValid)
+    .then(sniffContentType)
+    .then(uploadStream)
+    .then(
+      (upload) => internals.releaseLocks(locks).then(() => upload),
+      (err) => internals.releaseLocks(locks).then(() => Promise.reject(err))
+    )
+    .then(replyUploaded)
+    .catch(Helpers.replyWithError(request, reply));
+};
+
+
+Upload.putHandler.defaults = {
+  payload: {
+    output: 'stream',
+    parse: false,
+    maxBytes: 1024 * 1024 * 10 // 10MB
+  }
+};
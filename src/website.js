@@ -0,0 +1,102 @@
+/**
+ * Static website hosting: index and error documents
+ */
+
+const Path = require('path');
+
+const Helpers = require('./helpers');
+
+const internals = {};
+const Website = exports;
+
+
+/**
+ * returns the key of a website document (index or error document), relative
+ * to the `key` prefix if given as string
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {String} document - index or error document
+ * @return {String}
+ */
+internals.getDocumentKey = function (request, document) {
+
+  const { key } = request.route.settings.plugins.s3;
+
+  if (typeof key === 'string') {
+    return Path.join(key, document);
+  }
+
+  return document;
+};
+
+
+/**
+ * returns the key of the requested object, "folders" (keys or request paths
+ * ending with `/`) resolve to their index document
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {String} key - resolved S3 key, can be `''`
+ * @return {String}
+ */
+Website.getKey = function (request, key) {
+
+  const { website: { indexDocument } } = request.route.settings.plugins.s3;
+
+  if (!key || key.endsWith('/') || request.path.endsWith('/')) {
+    return Path.join(key, indexDocument);
+  }
+
+  return key;
+};
+
+
+/**
+ * resolves with the requested object or, if it does not exist, with the
+ * fallback document:
+ *
+ * - `spa=true`: the root index document with `200`
+ * - `errorDocument`: the error document with `404`
+ *
+ * @param {Object} request - Hapi request Object
+ * @param {String} key - resolved S3 key, can be `''`
+ * @param {Func} loadObject - loadObject(key, statusCode) -> Promise, loads a document
+ *   (e.g. its meta data or stream), should reject with a Boom 404 if it does not exist
+ * @resolves {Object<{ key, object, statusCode }>} - `object` is the resolved value of `loadObject`
+ * @reject - with the original error if no fallback document exists
+ */
+Website.getObject = function (request, key, loadObject) {
+
+  const { website: { indexDocument, errorDocument, spa } } = request.route.settings.plugins.s3;
+  const objectKey = Website.getKey(request, key);
+
+  const isNotFound = (err) => err.isBoom && err.output.statusCode === 404;
+
+  // load a fallback document, resolves `null` if it does not exist
+  const getDocument = function (documentKey, statusCode) {
+    return loadObject(documentKey, statusCode)
+      .then((object) => ({ key: documentKey, object, statusCode }))
+      .catch((err) => (isNotFound(err) ? null : Promise.reject(err)));
+  };
+
+  // try the fallback documents in order, reject with the original error if none exists
+  const getFallbackDocument = function (err) {
+    if (!isNotFound(err)) {
+      return Promise.reject(err);
+    }
+
+    const fallbacks = [
+      spa ? [internals.getDocumentKey(request, indexDocument), 200] : null,
+      errorDocument ? [internals.getDocumentKey(request, errorDocument), 404] : null
+    ].filter(Helpers.exists);
+
+    return fallbacks
+      .reduce((promise, [documentKey, statusCode]) => {
+        return promise.then((document) => document || getDocument(documentKey, statusCode));
+      }, Promise.resolve(null))
+      .then((document) => document || Promise.reject(err));
+  };
+
+  return loadObject(objectKey, 200)
+    .then((object) => ({ key: objectKey, object, statusCode: 200 }))
+    .catch(getFallbackDocument);
+};
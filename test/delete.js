@@ -262,4 +262,69 @@ describe('[integration/serve] "DELETE" spec', function () {
       });
     });
   });
+
+  describe('[versionId]', function () {
+    const makeRequest = AWS.S3.prototype.makeRequest;
+    let makeRequestSpy;
+    let deleteParams;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'DELETE',
+        path: '/versions/{path?}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files3',
+            versionId: true
+          }
+        }
+      });
+    });
+
+    // s3rver does not support versioning
+    before('fake versioned `deleteObject` responses', function () {
+      makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+        if (operation !== 'deleteObject') {
+          return makeRequest.call(this, operation, params, callback);
+        }
+
+        deleteParams = params;
+        return process.nextTick(() => callback(null, { VersionId: params.VersionId }));
+      });
+    });
+
+    after('restore s3 requests', function () {
+      makeRequestSpy.restore();
+    });
+
+    describe('deleting a version', function () {
+      let response;
+
+      before('call api', function () {
+        const params = {
+          method: 'DELETE',
+          url: '/versions/test-NF.pdf?versionId=version-1'
+        };
+
+        return server.inject(params)
+          .then((resp) => {
+            response = resp;
+          });
+      });
+
+      it('should delete the requested version', function () {
+        expect(deleteParams).toInclude({ Key: 'files3/test-NF.pdf', VersionId: 'version-1' });
+      });
+
+      it('should respond with the deleted version', function () {
+        expect(response.statusCode).toEqual(204);
+        expect(response.headers['x-version-id']).toEqual('version-1');
+      });
+    });
+  });
 });
@@ -0,0 +1,472 @@
+/* eslint prefer-arrow-callback: 0 */
+
+const Path = require('path');
+
+const AWS = require('aws-sdk');
+const Hapi = require('hapi');
+const Joi = require('joi');
+const S3rver = require('s3rver');
+const expect = require('expect');
+
+const HapiServeS3 = require('../src');
+const Schemas = require('../src/schemas');
+
+process.env.AWS_ACCESS_KEY_ID = 'FAKE';
+process.env.AWS_SECRET_ACCESS_KEY = 'FAKE';
+
+describe('[integration/head] "HEAD" spec', function () {
+  let server;
+  let s3rver;
+
+  before('create a mocked s3 server', function (done) {
+    const params = {
+      port: 4569,
+      hostname: 'localhost',
+      silent: true,
+      directory: Path.join(__dirname, './fixtures/buckets')
+    };
+
+    s3rver = new S3rver(params).run(done);
+  });
+
+  after('stop s3rver', function (done) {
+    s3rver.close(done);
+  });
+
+  before('load hapi server with serve-s3 plugin', function () {
+    server = new Hapi.Server();
+    server.connection({ port: 8888 });
+
+    return server.register({
+      register: HapiServeS3,
+      options: {}
+    });
+  });
+
+  after('stop server', function () {
+    return server.stop();
+  });
+
+  describe('[mode=attachment]', function () {
+    before('define a test route', function () {
+      return server.route({
+        method: 'GET',
+        path: '/files/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            mode: 'attachment',
+            bucket: 'test',
+            key: 'files2',
+            overrideContentTypes: {
+              'application/octet-stream': 'application/pdf'
+            }
+          }
+        }
+      });
+    });
+
+    describe('valid request', function () {
+      let response;
+      let makeRequestSpy;
+
+      before('spy on s3 requests', function () {
+        makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCallThrough();
+      });
+
+      after('restore s3 requests', function () {
+        makeRequestSpy.restore();
+      });
+
+      before('call test route', function () {
+        const params = {
+          method: 'HEAD',
+          url: '/files/1.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with 200 (OK)', function () {
+        expect(response.statusCode).toEqual(200);
+      });
+
+      it('should set the content headers of the s3 file', function () {
+        expect(response.headers['content-type']).toEqual('application/pdf');
+        expect(response.headers['content-length']).toEqual(24);
+        expect(response.headers['content-disposition']).toEqual('attachment; filename="1.pdf"');
+      });
+
+      it('should set the validators of the s3 file', function () {
+        expect(response.headers.etag).toEqual('"924a258504e85340c9497c9a60a81916"');
+        expect(response.headers['last-modified']).toExist();
+      });
+
+      it('should respond without payload', function () {
+        expect(response.payload).toEqual('');
+      });
+
+      it('should only load the meta data of the s3 file', function () {
+        const operations = makeRequestSpy.calls.map(({ arguments: [operation] }) => operation);
+
+        expect(operations).toEqual(['headObject']);
+      });
+    });
+
+    describe('when file does not exist', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'HEAD',
+          url: '/files/2.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with HTTP 404 (Not Found)', function () {
+        expect(response.statusCode).toEqual(404);
+      });
+    });
+
+    describe('with a matching `If-None-Match` header', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'HEAD',
+          url: '/files/1.pdf',
+          headers: { 'if-none-match': '"924a258504e85340c9497c9a60a81916"' }
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with HTTP 304 (Not Modified)', function () {
+        expect(response.statusCode).toEqual(304);
+      });
+    });
+  });
+
+  describe('[onResponse]', function () {
+    let onResponseError;
+    let onResponseOptions;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'GET',
+        path: '/files2/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files2',
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.head);
+              onResponseError = error;
+              onResponseOptions = options;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply().code(204);
+            }
+          }
+        }
+      });
+    });
+
+    describe('valid request', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'HEAD',
+          url: '/files2/1.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should call `onResponse` with the correct schema', function () {
+        expect(onResponseError).toNotExist();
+      });
+
+      it('should pass the meta data of the s3 file', function () {
+        expect(onResponseOptions).toInclude({
+          bucket: 'test',
+          key: 'files2/1.pdf',
+          contentLength: 24,
+          contentDisposition: 'attachment; filename="test-1.pdf"',
+          defaultStatusCode: 200
+        });
+      });
+
+      it('should respond with the intercepted statusCode', function () {
+        expect(response.statusCode).toEqual(204);
+      });
+    });
+  });
+
+  describe('[versionId as function]', function () {
+    const makeRequest = AWS.S3.prototype.makeRequest;
+    let makeRequestSpy;
+    let headParams;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'GET',
+        path: '/versions/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files',
+            versionId: (request) => request.headers['x-requested-version']
+          }
+        }
+      });
+    });
+
+    // s3rver does not support versioning
+    before('fake versioned `headObject` responses', function () {
+      makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+        if (operation !== 'headObject') {
+          return makeRequest.call(this, operation, params, callback);
+        }
+
+        headParams = params;
+        return process.nextTick(() => callback(null, {
+          ContentLength: 24,
+          ContentType: 'application/pdf',
+          ETag: '"a8e3e6c7b2f7e7b2d3e5f6a7b8c9d0e1"',
+          LastModified: new Date('2017-04-01T00:00:00.000Z'),
+          VersionId: params.VersionId || 'latest-version'
+        }));
+      });
+    });
+
+    after('restore s3 requests', function () {
+      makeRequestSpy.restore();
+    });
+
+    describe('request of a version', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'HEAD',
+          url: '/versions/1.pdf',
+          headers: { 'x-requested-version': 'version-1' }
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should load the meta data of the requested version', function () {
+        expect(headParams).toInclude({ Key: 'files/1.pdf', VersionId: 'version-1' });
+      });
+
+      it('should respond with the version of the s3 file', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(response.headers['x-version-id']).toEqual('version-1');
+      });
+    });
+
+    describe('request without a version', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'HEAD',
+          url: '/versions/1.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should load the meta data of the latest version', function () {
+        expect(headParams).toExcludeKey('VersionId');
+      });
+
+      it('should respond with the version of the s3 file', function () {
+        expect(response.headers['x-version-id']).toEqual('latest-version');
+      });
+    });
+  });
+
+  describe('[bucket failover]', function () {
+    let response;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'GET',
+        path: '/failover/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: ['missing-bucket', 'test'],
+            key: 'files'
+          }
+        }
+      });
+    });
+
+    before('call test route', function () {
+      const params = {
+        method: 'HEAD',
+        url: '/failover/1.pdf'
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          response = res;
+        });
+    });
+
+    it('should respond with the headers of the object in the next bucket', function () {
+      expect(response.statusCode).toEqual(200);
+      expect(response.headers['content-length']).toEqual(20);
+    });
+
+    it('should add the serving bucket as debug header', function () {
+      expect(response.headers['x-s3-bucket']).toEqual('test');
+    });
+  });
+
+  describe('[exposeMetadata]', function () {
+    let response;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'GET',
+        path: '/meta/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'meta',
+            exposeMetadata: (request, { metadata }) => ({ 'X-Author': metadata.author })
+          }
+        }
+      });
+    });
+
+    before('call test route', function () {
+      const params = {
+        method: 'HEAD',
+        url: '/meta/report.txt'
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          response = res;
+        });
+    });
+
+    it('should expose the mapped meta data as headers', function () {
+      expect(response.statusCode).toEqual(200);
+      expect(response.headers['x-author']).toEqual('jane');
+      expect(response.headers).toExcludeKey('x-amz-meta-author');
+    });
+  });
+
+  describe('[sseCustomerKey]', function () {
+    const makeRequest = AWS.S3.prototype.makeRequest;
+    let makeRequestSpy;
+    let response;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'GET',
+        path: '/encrypted/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files',
+            sseCustomerKey: () => Buffer.alloc(32, 'w')
+          }
+        }
+      });
+    });
+
+    // s3rver does not support SSE-C, S3 answers `HEAD` requests with a wrong key with 403 and without a message
+    before('fake `headObject` responses for a wrong key', function () {
+      makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+        if (operation !== 'headObject') {
+          return makeRequest.call(this, operation, params, callback);
+        }
+
+        const err = Object.assign(new Error(null), { code: 'Forbidden', statusCode: 403 });
+        return process.nextTick(() => callback(err));
+      });
+    });
+
+    after('restore s3 requests', function () {
+      makeRequestSpy.restore();
+    });
+
+    before('call test route', function () {
+      const params = {
+        method: 'HEAD',
+        url: '/encrypted/1.pdf'
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          response = res;
+        });
+    });
+
+    it('should respond with 403 (Forbidden)', function () {
+      expect(response.statusCode).toEqual(403);
+    });
+
+    it('should not guess the cause of the error', function () {
+      const payload = response.request.response.source;
+
+      expect(payload).toEqual({ statusCode: 403, error: 'Forbidden' });
+    });
+  });
+});
@@ -1,15 +1,23 @@
 const Path = require('path');
 const Stream = require('stream');
 
+const AWS = require('aws-sdk');
 const FormData = require('form-data');
 
 const Helpers = exports;
 
 
+// s3 client options for the s3rver of the tests
+Helpers.s3Params = {
+  s3ForcePathStyle: true,
+  endpoint: new AWS.Endpoint('http://localhost:4569')
+};
+
+
 /**
  * Transform a list of file definitions to a FormData object
  *
- * @param {Array<Object<{ name, buf, filename }>>} files
+ * @param {Array<Object<{ name, buf, filename, [header] }>>} files - `header`: additional headers of the entry
  * @resolves {Object<{ payload: Buffer, form: FormData }>}
  */
 Helpers.getFormData = function (files) {
@@ -22,8 +30,8 @@ Helpers.getFormData = function (files) {
   };
 
   const form = new FormData();
-  files.forEach(({ name, buf, filename }) => {
-    form.append(name, buf, filename);
+  files.forEach(({ name, buf, filename, header }) => {
+    form.append(name, buf, header ? { filename, header } : filename);
   });
 
   form.pipe(converter);
@@ -37,6 +45,21 @@ Helpers.getFormData = function (files) {
 };
 
 
+/**
+ * Upload a list of file definitions as form data with a 'POST' request
+ *
+ * @param {Object} server - Hapi server
+ * @param {String} url
+ * @param {Array<Object<{ name, buf, filename, [header] }>>} files - see `getFormData`
+ * @resolves {Object} - the response of `server.inject`
+ */
+Helpers.uploadForm = function (server, url, files) {
+
+  return Helpers.getFormData(files)
+    .then(({ payload, form }) => server.inject({ method: 'POST', url, headers: form.getHeaders(), payload }));
+};
+
+
 /**
  * Reload files from the server using the 'GET' route
  */
@@ -0,0 +1,303 @@
+/* eslint prefer-arrow-callback: 0 */
+
+const Path = require('path');
+
+const AWS = require('aws-sdk');
+const Boom = require('boom');
+const Hapi = require('hapi');
+const Joi = require('joi');
+const S3rver = require('s3rver');
+const expect = require('expect');
+
+const HapiServeS3 = require('../src');
+const Schemas = require('../src/schemas');
+
+process.env.AWS_ACCESS_KEY_ID = 'FAKE';
+process.env.AWS_SECRET_ACCESS_KEY = 'FAKE';
+
+describe('[integration/presign] "presignedPost" and "confirmUpload" spec', function () {
+  let server;
+  let s3rver;
+
+  before('create a mocked s3 server', function (done) {
+    const params = {
+      port: 4569,
+      hostname: 'localhost',
+      silent: true,
+      directory: Path.join(__dirname, './fixtures/buckets')
+    };
+
+    s3rver = new S3rver(params).run(done);
+  });
+
+  after('stop s3rver', function (done) {
+    s3rver.close(done);
+  });
+
+  before('load hapi server with serve-s3 plugin', function () {
+    server = new Hapi.Server();
+    server.connection({ port: 8888 });
+
+    return server.register({
+      register: HapiServeS3,
+      options: {}
+    });
+  });
+
+  after('stop server', function () {
+    return server.stop();
+  });
+
+  const decodePolicy = function (fields) {
+    return JSON.parse(Buffer.from(fields.Policy, 'base64').toString('utf8'));
+  };
+
+  describe('[presignedPost][allowedContentTypes]', function () {
+    before('define a test route', function () {
+      return server.route({
+        method: 'POST',
+        path: '/direct/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'direct', // prefix
+            allowedContentTypes: ['text/plain'],
+            presignedPost: { maxSize: 1024 * 1024 }
+          }
+        }
+      });
+    });
+
+    describe('requesting a form', function () {
+      let response;
+      let payload;
+
+      before('call api', function () {
+        return server.inject({ method: 'POST', url: '/direct/?filename=notes.txt&contentType=text/plain' })
+          .then((res) => {
+            response = res;
+            payload = JSON.parse(res.payload);
+          });
+      });
+
+      it('should respond with HTTP 200 (OK)', function () {
+        expect(response.statusCode).toEqual(200);
+      });
+
+      it('should respond with the presigned form', function () {
+        expect(payload.url).toEqual('http://localhost:4569/test');
+        expect(payload.key).toEqual('direct/notes.txt');
+        expect(payload.expires).toBeA('string');
+        expect(payload.fields).toInclude({
+          key: 'direct/notes.txt',
+          'Content-Type': 'text/plain',
+          'Content-Disposition': 'attachment; filename="notes.txt"'
+        });
+        expect(payload.fields.Policy).toBeA('string');
+      });
+
+      it('should sign the key, content type and size as policy conditions', function () {
+        const { conditions } = decodePolicy(payload.fields);
+
+        expect(conditions).toInclude({ key: 'direct/notes.txt' });
+        expect(conditions).toInclude({ 'Content-Type': 'text/plain' });
+        expect(conditions).toInclude(['content-length-range', 0, 1024 * 1024]);
+      });
+    });
+
+    it('should sign the form for a key under the prefix of the route', function () {
+      return server.inject({ method: 'POST', url: '/direct/?filename=../../other/notes.txt&contentType=text/plain' })
+        .then((res) => {
+          const payload = JSON.parse(res.payload);
+
+          expect(res.statusCode).toEqual(200);
+          expect(payload.key).toEqual('direct/notes.txt');
+          expect(decodePolicy(payload.fields).conditions).toInclude({ key: 'direct/notes.txt' });
+        });
+    });
+
+    it('should respond with 415 (Unsupported Media Type) for blacklisted content types', function () {
+      return server.inject({ method: 'POST', url: '/direct/?filename=image.png&contentType=image/png' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(415);
+        });
+    });
+  });
+
+  describe('[presignedPost][onConflict][onResponse]', function () {
+    let onResponseError;
+    let onResponseOptions;
+    let conflictResponse;
+    let response;
+
+    before('define the test routes', function () {
+      const s3Params = { // these options are just for testing purpose
+        s3ForcePathStyle: true,
+        endpoint: new AWS.Endpoint('http://localhost:4569')
+      };
+
+      return server.route([
+        {
+          method: 'POST',
+          path: '/direct-files/{path*}',
+          handler: {
+            s3: {
+              s3Params,
+              bucket: 'test',
+              key: 'files',
+              presignedPost: true
+            }
+          }
+        },
+        {
+          method: 'POST',
+          path: '/direct-renamed/{path*}',
+          handler: {
+            s3: {
+              s3Params,
+              bucket: 'test',
+              key: 'files',
+              onConflict: 'rename',
+              presignedPost: true,
+              onResponse(...args) {
+                const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+                const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.post);
+                onResponseError = error;
+                onResponseOptions = options;
+
+                if (err) {
+                  return reply(err);
+                }
+
+                return reply(res).code(options.defaultStatusCode);
+              }
+            }
+          }
+        }
+      ]);
+    });
+
+    before('call api', function () {
+      return Promise
+        .all([
+          server.inject({ method: 'POST', url: '/direct-files/?filename=1.pdf' }),
+          server.inject({ method: 'POST', url: '/direct-renamed/?filename=1.pdf' })
+        ])
+        .then(([conflictRes, res]) => {
+          conflictResponse = conflictRes;
+          response = res;
+        });
+    });
+
+    it('should respond with 409 (Conflict) if the file already exists', function () {
+      expect(conflictResponse.statusCode).toEqual(409);
+    });
+
+    it('should call `onResponse` with the correct schema', function () {
+      expect(onResponseError).toNotExist();
+    });
+
+    it('should sign the form for the first free key', function () {
+      const payload = JSON.parse(response.payload);
+
+      expect(response.statusCode).toEqual(200);
+      expect(onResponseOptions).toInclude({ key: 'files/1 (1).pdf', conflict: 'rename' });
+      expect(payload).toInclude({ key: 'files/1 (1).pdf', conflict: 'rename' });
+      expect(payload.fields.key).toEqual('files/1 (1).pdf');
+    });
+  });
+
+  describe('[confirmUpload][onResponse]', function () {
+    let confirmArgs;
+    let onResponseError;
+    let onResponseOptions;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'POST',
+        path: '/confirm/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            confirmUpload(request, args) {
+              confirmArgs = args;
+
+              if (args.metaData.ContentType !== 'application/octet-stream') {
+                return Promise.reject(Boom.badData('unexpected file type'));
+              }
+
+              return null;
+            },
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.post);
+              onResponseError = error;
+              onResponseOptions = options;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply(res).code(options.defaultStatusCode);
+            }
+          }
+        }
+      });
+    });
+
+    describe('confirming an uploaded object', function () {
+      let response;
+
+      before('call api', function () {
+        return server.inject({ method: 'POST', url: '/confirm/files/1.pdf' })
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should call `confirmUpload` with the object meta data', function () {
+        expect(confirmArgs).toInclude({ bucket: 'test', key: 'files/1.pdf' });
+        expect(confirmArgs.metaData.ContentLength).toEqual(20);
+      });
+
+      it('should call `onResponse` with the correct schema', function () {
+        expect(onResponseError).toNotExist();
+        expect(onResponseOptions).toInclude({ key: 'files/1.pdf', contentLength: 20 });
+      });
+
+      it('should respond with the meta data of the object', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(JSON.parse(response.payload)).toInclude({
+          Bucket: 'test',
+          Key: 'files/1.pdf',
+          ContentType: 'application/octet-stream',
+          ContentLength: 20
+        });
+      });
+    });
+
+    it('should respond with 404 (Not Found) if the object was not uploaded', function () {
+      return server.inject({ method: 'POST', url: '/confirm/files/missing.pdf' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+
+    it('should reply with the rejection of `confirmUpload`', function () {
+      return server.inject({ method: 'POST', url: '/confirm/meta/report.txt' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(422);
+        });
+    });
+  });
+});
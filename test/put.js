@@ -0,0 +1,728 @@
+/* eslint prefer-arrow-callback: 0 */
+
+const Crypto = require('crypto');
+const Path = require('path');
+const Stream = require('stream');
+
+const AWS = require('aws-sdk');
+const Hapi = require('hapi');
+const Joi = require('joi');
+const RimRaf = require('rimraf');
+const S3rver = require('s3rver');
+const expect = require('expect');
+
+const HapiServeS3 = require('../src');
+const Schemas = require('../src/schemas');
+
+process.env.AWS_ACCESS_KEY_ID = 'FAKE';
+process.env.AWS_SECRET_ACCESS_KEY = 'FAKE';
+
+describe('[integration/put] "PUT" spec', function () {
+  let server;
+  let s3rver;
+
+  before('create a mocked s3 server', function (done) {
+    const params = {
+      port: 4569,
+      hostname: 'localhost',
+      silent: true,
+      directory: Path.join(__dirname, './fixtures/buckets')
+    };
+
+    s3rver = new S3rver(params).run(done);
+  });
+
+  after('stop s3rver', function (done) {
+    s3rver.close(done);
+  });
+
+  before('load hapi server with serve-s3 plugin', function () {
+    server = new Hapi.Server();
+    server.connection({ port: 8888 });
+
+    return server.register({
+      register: HapiServeS3,
+      options: {}
+    });
+  });
+
+  after('stop server', function () {
+    return server.stop();
+  });
+
+  after('cleanup files', function () {
+    RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/raw'));
+  });
+
+  describe('[key as string][allowedContentTypes]', function () {
+    before('define a test route', function () {
+      return server.route({
+        method: ['GET', 'PUT'],
+        path: '/raw/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'raw', // prefix
+            allowedContentTypes: ['text/plain', 'application/pdf']
+          }
+        }
+      });
+    });
+
+    describe('uploading a new object', function () {
+      let response;
+      let getResponse;
+
+      before('call api', function () {
+        const params = {
+          method: 'PUT',
+          url: '/raw/notes.txt',
+          headers: { 'content-type': 'text/plain' },
+          payload: 'first version\n'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      before('reload file', function () {
+        return server.inject({ method: 'GET', url: '/raw/notes.txt' })
+          .then((res) => {
+            getResponse = res;
+          });
+      });
+
+      it('should respond with HTTP 201 (Created)', function () {
+        expect(response.statusCode).toEqual(201);
+      });
+
+      it('should respond with the s3 response', function () {
+        const payload = JSON.parse(response.payload);
+
+        expect(payload).toInclude({
+          Key: 'raw/notes.txt',
+          ContentType: 'text/plain'
+        });
+      });
+
+      it('should store the raw payload with its content type', function () {
+        expect(getResponse.statusCode).toEqual(200);
+        expect(getResponse.headers['content-type']).toInclude('text/plain');
+        expect(getResponse.payload).toEqual('first version\n');
+      });
+    });
+
+    describe('replacing an existing object', function () {
+      let response;
+      let getResponse;
+
+      before('call api', function () {
+        const params = {
+          method: 'PUT',
+          url: '/raw/notes.txt',
+          headers: { 'content-type': 'text/plain' },
+          payload: 'second version\n'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      before('reload file', function () {
+        return server.inject({ method: 'GET', url: '/raw/notes.txt' })
+          .then((res) => {
+            getResponse = res;
+          });
+      });
+
+      it('should respond with HTTP 200 (OK)', function () {
+        expect(response.statusCode).toEqual(200);
+      });
+
+      it('should replace the object', function () {
+        expect(getResponse.payload).toEqual('second version\n');
+      });
+    });
+
+    describe('with a blacklisted content-type', function () {
+      let response;
+
+      before('call api', function () {
+        const params = {
+          method: 'PUT',
+          url: '/raw/image.png',
+          headers: { 'content-type': 'image/png' },
+          payload: 'not an image'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with 415 (Unsupported Media Type)', function () {
+        expect(response.statusCode).toEqual(415);
+      });
+    });
+  });
+
+  describe('[onConflict=rename][onResponse]', function () {
+    let onResponseError;
+    let onResponseOptions;
+    let response;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'PUT',
+        path: '/renamed/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'raw',
+            onConflict: 'rename',
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.put);
+              onResponseError = error;
+              onResponseOptions = options;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply(res).code(options.defaultStatusCode);
+            }
+          }
+        }
+      });
+    });
+
+    before('call api', function () {
+      const params = {
+        method: 'PUT',
+        url: '/renamed/notes.txt',
+        headers: { 'content-type': 'text/plain' },
+        payload: 'renamed version\n'
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          response = res;
+        });
+    });
+
+    it('should call `onResponse` with the correct schema', function () {
+      expect(onResponseError).toNotExist();
+    });
+
+    it('should upload to the first free key', function () {
+      expect(response.statusCode).toEqual(201);
+      expect(onResponseOptions).toInclude({ key: 'raw/notes (1).txt', conflict: 'rename' });
+      expect(JSON.parse(response.payload)).toInclude({ Key: 'raw/notes (1).txt', Conflict: 'rename' });
+    });
+  });
+
+  describe('[Content-MD5]', function () {
+    const content = 'checked content\n';
+    const contentMD5 = Crypto.createHash('md5').update(content).digest('base64');
+    const makeRequest = AWS.S3.prototype.makeRequest;
+    let requests;
+    let makeRequestSpy;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'PUT',
+        path: '/checked/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'raw'
+          }
+        }
+      });
+    });
+
+    // s3rver does not verify the checksum, S3 rejects mismatches with 400 (BadDigest)
+    beforeEach('record s3 requests and fake mismatching checksums', function () {
+      requests = [];
+
+      makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+        // managed uploads bind the params to the client
+        const allParams = Object.assign({}, this.config.params, params);
+        requests.push([operation, allParams]);
+
+        if (operation !== 'putObject' || allParams.ContentMD5 === contentMD5) {
+          return makeRequest.call(this, operation, params, callback);
+        }
+
+        // managed uploads send the request themselves, fail it before it is sent
+        const req = makeRequest.call(this, operation, params);
+        req.on('validate', () => {
+          throw Object.assign(new Error('The Content-MD5 you specified did not match what we received.'), {
+            code: 'BadDigest',
+            statusCode: 400
+          });
+        });
+
+        return callback ? req.send(callback) : req;
+      });
+    });
+
+    afterEach('restore s3 requests', function () {
+      makeRequestSpy.restore();
+    });
+
+    it('should pass a matching checksum to s3', function () {
+      const params = {
+        method: 'PUT',
+        url: '/checked/checked.txt',
+        headers: { 'content-md5': contentMD5 },
+        payload: content
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          const [, putParams] = requests.find(([operation]) => operation === 'putObject');
+
+          expect(res.statusCode).toEqual(201);
+          expect(putParams.ContentMD5).toEqual(contentMD5);
+        });
+    });
+
+    it('should respond with 400 (Bad Request) for a mismatching checksum', function () {
+      const params = {
+        method: 'PUT',
+        url: '/checked/mismatch.txt',
+        headers: { 'content-md5': Crypto.createHash('md5').update('other').digest('base64') },
+        payload: content
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          expect(res.statusCode).toEqual(400);
+        });
+    });
+
+    it('should respond with 400 (Bad Request) for an invalid checksum', function () {
+      const params = {
+        method: 'PUT',
+        url: '/checked/invalid.txt',
+        headers: { 'content-md5': 'invalid' },
+        payload: content
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          const operations = requests.map(([operation]) => operation);
+
+          expect(res.statusCode).toEqual(400);
+          expect(operations).toExclude('putObject');
+        });
+    });
+  });
+
+  describe('[onResponse]', function () {
+    let onResponseError;
+    let onResponseOptions;
+    let response;
+
+    before('define a test route', function () {
+      return server.route({
+        method: 'PUT',
+        path: '/intercepted/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            mode: 'attachment',
+            bucket: 'test',
+            key: 'raw',
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.put);
+              onResponseError = error;
+              onResponseOptions = options;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply({ key: options.key }).code(202);
+            }
+          }
+        }
+      });
+    });
+
+    before('call api', function () {
+      const params = {
+        method: 'PUT',
+        url: '/intercepted/report.pdf',
+        headers: { 'content-type': 'application/pdf' },
+        payload: 'PDF'
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          response = res;
+        });
+    });
+
+    it('should call `onResponse` with the correct schema', function () {
+      expect(onResponseError).toNotExist();
+    });
+
+    it('should pass the upload details', function () {
+      expect(onResponseOptions).toInclude({
+        bucket: 'test',
+        key: 'raw/report.pdf',
+        contentType: 'application/pdf',
+        contentDisposition: 'attachment; filename="report.pdf"',
+        defaultStatusCode: 201
+      });
+    });
+
+    it('should respond with the intercepted status code and payload', function () {
+      expect(response.statusCode).toEqual(202);
+      expect(JSON.parse(response.payload)).toEqual({ key: 'raw/report.pdf' });
+    });
+  });
+
+  describe('[maxFileSize]', function () {
+    before('define a test route', function () {
+      return server.route({
+        method: ['GET', 'PUT'],
+        path: '/raw-limited/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'raw',
+            maxFileSize: 16
+          }
+        }
+      });
+    });
+
+    it('should respond with 413 (Payload Too Large) if the content length exceeds the limit', function () {
+      const params = { method: 'PUT', url: '/raw-limited/announced.txt', payload: 'a text longer than the limit' };
+
+      return server.inject(params)
+        .then((res) => {
+          expect(res.statusCode).toEqual(413);
+          expect(JSON.parse(res.payload).message)
+            .toEqual('the file "raw/announced.txt" exceeds the maximum size of 16 bytes');
+        });
+    });
+
+    it('should abort streamed uploads exceeding the limit', function () {
+      const payload = new Stream.PassThrough();
+      payload.end('a text longer than the limit');
+
+      return server.inject({ method: 'PUT', url: '/raw-limited/streamed.txt', payload })
+        .then((res) => {
+          expect(res.statusCode).toEqual(413);
+          expect(JSON.parse(res.payload).message)
+            .toEqual('the file "raw/streamed.txt" exceeds the maximum size of 16 bytes');
+        })
+        .then(() => server.inject({ method: 'GET', url: '/raw-limited/streamed.txt' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+
+    it('should upload files within the limit', function () {
+      return server.inject({ method: 'PUT', url: '/raw-limited/small.txt', payload: 'small text' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+        });
+    });
+  });
+
+  describe('[sniffContentType]', function () {
+    // a PNG signature followed by more than the sniffed bytes
+    const signature = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    const png = Buffer.concat([signature, Crypto.randomBytes(2048)]);
+
+    before('define a test route', function () {
+      return server.route({
+        method: ['GET', 'PUT'],
+        path: '/raw-sniffed/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'raw',
+            sniffContentType: true
+          }
+        }
+      });
+    });
+
+    it('should respond with 415 (Unsupported Media Type) if the content does not match the content type', function () {
+      const params = {
+        method: 'PUT',
+        url: '/raw-sniffed/image.png',
+        headers: { 'content-type': 'image/png' },
+        payload: '<!DOCTYPE html><script>alert(1)</script>'
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          expect(res.statusCode).toEqual(415);
+          expect(JSON.parse(res.payload).message)
+            .toEqual('for upload "raw/image.png" "content-type" [image/png] does not match the content: [text/html]');
+        });
+    });
+
+    it('should upload the whole payload if the content matches the content type', function () {
+      const params = {
+        method: 'PUT',
+        url: '/raw-sniffed/image.png',
+        headers: { 'content-type': 'image/png' },
+        payload: png
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+        })
+        .then(() => server.inject({ method: 'GET', url: '/raw-sniffed/image.png' }))
+        .then((res) => {
+          expect(res.headers['content-type']).toEqual('image/png');
+          expect(res.rawPayload.equals(png)).toBe(true);
+        });
+    });
+  });
+
+  describe('[scan]', function () {
+    before('define a test route', function () {
+      return server.route({
+        method: ['GET', 'PUT'],
+        path: '/raw-scanned/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'raw',
+            quarantinePrefix: 'raw-quarantine/',
+            scan(stream) {
+              const chunks = [];
+
+              return new Promise((resolve) => {
+                stream.on('data', (chunk) => chunks.push(chunk));
+                stream.on('end', () => {
+                  const isInfected = Buffer.concat(chunks).toString() === 'infected';
+                  resolve(isInfected ? 'Test-Signature' : null);
+                });
+              });
+            }
+          }
+        }
+      });
+    });
+
+    after('cleanup files', function () {
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/raw-quarantine'));
+    });
+
+    it('should publish clean files', function () {
+      return server.inject({ method: 'PUT', url: '/raw-scanned/clean.txt', payload: 'clean' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(JSON.parse(res.payload)).toInclude({ Key: 'raw/clean.txt' });
+        })
+        .then(() => server.inject({ method: 'GET', url: '/raw-scanned/clean.txt' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.payload).toEqual('clean');
+        });
+    });
+
+    it('should respond with 422 (Unprocessable Entity) for infected files', function () {
+      return server.inject({ method: 'PUT', url: '/raw-scanned/infected.txt', payload: 'infected' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(422);
+          expect(JSON.parse(res.payload).message).toEqual('the file "raw/infected.txt" is infected: Test-Signature');
+        })
+        .then(() => server.inject({ method: 'GET', url: '/raw-scanned/infected.txt' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+  });
+
+  describe('[checksums]', function () {
+    const content = 'regulated document\n';
+    const sha256 = Crypto.createHash('sha256').update(content).digest('base64');
+
+    before('define a test route', function () {
+      return server.route({
+        method: ['GET', 'PUT'],
+        path: '/raw-checksums/{path*}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'raw'
+          }
+        }
+      });
+    });
+
+    it('should upload payloads matching the `Repr-Digest` header and store the digests', function () {
+      const params = {
+        method: 'PUT',
+        url: '/raw-checksums/document.txt',
+        headers: { 'repr-digest': `sha-256=:${sha256}:` },
+        payload: content
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(JSON.parse(res.payload).ContentSHA256).toEqual(sha256);
+        })
+        .then(() => server.inject({ method: 'GET', url: '/raw-checksums/document.txt' }))
+        .then((res) => {
+          expect(res.headers['repr-digest']).toInclude(`sha-256=:${sha256}:`);
+        });
+    });
+
+    it('should respond with 400 (Bad Request) if the payload does not match the `Digest` header', function () {
+      const params = {
+        method: 'PUT',
+        url: '/raw-checksums/mismatch.txt',
+        headers: { digest: `sha-256=${Crypto.createHash('sha256').update('other').digest('base64')}` },
+        payload: content
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          expect(res.statusCode).toEqual(400);
+          expect(JSON.parse(res.payload).message)
+            .toEqual('the file "raw/mismatch.txt" does not match the digest header');
+        })
+        .then(() => server.inject({ method: 'GET', url: '/raw-checksums/mismatch.txt' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+
+    describe('uploading in multiple parts', function () {
+      const payload = Crypto.randomBytes((1024 * 1024 * 5) + 16);
+      const makeRequest = AWS.S3.prototype.makeRequest;
+      const requests = [];
+      let makeRequestSpy;
+      let response;
+
+      // s3rver does not support multipart uploads, fake them and the copy
+      before('fake multipart uploads', function () {
+        const results = {
+          createMultipartUpload: { UploadId: 'upload' },
+          uploadPart: { ETag: '"part"' },
+          completeMultipartUpload: { ETag: '"multipart-2"', Location: 'location', VersionId: 'v1' },
+          copyObject: { CopyObjectResult: { ETag: '"copied"' }, VersionId: 'v2' },
+          deleteObject: {}
+        };
+
+        makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+          const data = results[operation];
+          requests.push([operation, Object.assign({}, this.config.params, params)]);
+
+          if (!data) {
+            return makeRequest.call(this, operation, params, callback);
+          }
+
+          if (callback) {
+            process.nextTick(() => callback(null, data));
+            return null;
+          }
+
+          // managed uploads send the requests themselves
+          const req = makeRequest.call(this, operation, params);
+          req.send = function (cb) {
+            process.nextTick(() => {
+              req.emit('success', [{ data }]);
+              return cb && cb(null, data);
+            });
+          };
+
+          return req;
+        });
+      });
+
+      after('restore s3 requests', function () {
+        makeRequestSpy.restore();
+      });
+
+      before('call api', function () {
+        return server.inject({ method: 'PUT', url: '/raw-checksums/large.bin', payload })
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should store the digests by copying the object onto itself', function () {
+        const [, copyParams] = requests.find(([operation]) => operation === 'copyObject');
+
+        expect(copyParams).toInclude({
+          Bucket: 'test',
+          Key: 'raw/large.bin',
+          CopySource: 'test/raw/large.bin',
+          CopySourceVersionId: 'v1',
+          MetadataDirective: 'REPLACE'
+        });
+        expect(copyParams.Metadata).toEqual({
+          'content-md5': Crypto.createHash('md5').update(payload).digest('base64'),
+          'content-sha256': Crypto.createHash('sha256').update(payload).digest('base64')
+        });
+      });
+
+      it('should delete the replaced version', function () {
+        const [, deleteParams] = requests.find(([operation]) => operation === 'deleteObject');
+
+        expect(deleteParams).toInclude({ Key: 'raw/large.bin', VersionId: 'v1' });
+      });
+
+      it('should respond with the copied object', function () {
+        expect(response.statusCode).toEqual(201);
+        expect(JSON.parse(response.payload)).toInclude({ ETag: '"copied"', VersionId: 'v2' });
+        expect(response.headers['x-version-id']).toEqual('v2');
+      });
+    });
+  });
+});
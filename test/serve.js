@@ -1,15 +1,19 @@
 /* eslint prefer-arrow-callback: 0 */
 
+const Http = require('http');
 const Path = require('path');
+const Url = require('url');
 
 const AWS = require('aws-sdk');
 const Boom = require('boom');
 const Hapi = require('hapi');
 const Joi = require('joi');
 const S3rver = require('s3rver');
+const Yauzl = require('yauzl');
 const expect = require('expect');
 
 const HapiServeS3 = require('../src');
+const Helpers = require('../src/helpers');
 const Schemas = require('../src/schemas');
 
 process.env.AWS_ACCESS_KEY_ID = 'FAKE';
@@ -176,6 +180,15 @@ describe('[integration/serve] "GET" spec', function () {
 
     describe('valid request', function () {
       let response;
+      let makeRequestSpy;
+
+      before('spy on s3 requests', function () {
+        makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCallThrough();
+      });
+
+      after('restore s3 requests', function () {
+        makeRequestSpy.restore();
+      });
 
       before('call test route', function () {
         const params = {
@@ -203,6 +216,16 @@ describe('[integration/serve] "GET" spec', function () {
       it('should respond with the content of the s3 file', function () {
         expect(response.payload).toEqual('test2\ntest2\ntest2\ntest2\n');
       });
+
+      it('should set the content length of the s3 file', function () {
+        expect(response.headers['content-length']).toEqual(24);
+      });
+
+      it('should load the s3 file with a single request', function () {
+        const operations = makeRequestSpy.calls.map(({ arguments: [operation] }) => operation);
+
+        expect(operations).toEqual(['getObject']);
+      });
     });
 
     describe('when file does not exist', function () {
@@ -451,6 +474,1746 @@ describe('[integration/serve] "GET" spec', function () {
     });
   });
 
+  describe('[range requests]', function () {
+    let onResponseError;
+    let onResponseOptions;
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/files7/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            mode: false,
+            bucket: 'test',
+            key: 'files2'
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/files8/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files2',
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.get);
+              onResponseError = error;
+              onResponseOptions = options;
+
+              return reply(res).code(options.defaultStatusCode);
+            }
+          }
+        }
+      }]);
+    });
+
+    describe('with a valid range', function () {
+      let response;
+      let makeRequestSpy;
+
+      before('spy on s3 requests', function () {
+        makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCallThrough();
+      });
+
+      after('restore s3 requests', function () {
+        makeRequestSpy.restore();
+      });
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/files7/1.pdf',
+          headers: { range: 'bytes=6-10' }
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with 206 (Partial Content)', function () {
+        expect(response.statusCode).toEqual(206);
+      });
+
+      it('should set the range headers', function () {
+        expect(response.headers['content-range']).toEqual('bytes 6-10/24');
+        expect(response.headers['content-length']).toEqual(5);
+        expect(response.headers['accept-ranges']).toEqual('bytes');
+      });
+
+      it('should respond with the requested part of the s3 file', function () {
+        expect(response.payload).toEqual('test2');
+      });
+
+      it('should only load the requested part of the s3 file', function () {
+        const [[operation, params]] = makeRequestSpy.calls.map((call) => call.arguments);
+
+        expect(makeRequestSpy.calls.length).toEqual(1);
+        expect(operation).toEqual('getObject');
+        expect(params.Range).toEqual('bytes=6-10');
+      });
+    });
+
+    describe('with a suffix range', function () {
+      const makeRequest = AWS.S3.prototype.makeRequest;
+      let makeRequestSpy;
+      let response;
+
+      // s3rver does not support suffix ranges, the last 6 bytes of the 24 bytes file
+      before('spy on s3 requests and resolve suffix ranges', function () {
+        makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+          if (params.Range !== 'bytes=-6') {
+            return makeRequest.call(this, operation, params, callback);
+          }
+
+          return makeRequest.call(this, operation, Object.assign({}, params, { Range: 'bytes=18-' }), callback);
+        });
+      });
+
+      after('restore s3 requests', function () {
+        makeRequestSpy.restore();
+      });
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/files7/1.pdf',
+          headers: { range: 'bytes=-6' }
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with 206 (Partial Content)', function () {
+        expect(response.statusCode).toEqual(206);
+      });
+
+      it('should respond with the last bytes of the s3 file', function () {
+        expect(response.headers['content-range']).toEqual('bytes 18-23/24');
+        expect(response.payload).toEqual('test2\n');
+      });
+
+      it('should only load the requested part of the s3 file', function () {
+        const [[operation, params]] = makeRequestSpy.calls.map((call) => call.arguments);
+
+        expect(makeRequestSpy.calls.length).toEqual(1);
+        expect(operation).toEqual('getObject');
+        expect(params.Range).toEqual('bytes=-6');
+      });
+    });
+
+    describe('with an unsatisfiable range', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/files7/1.pdf',
+          headers: { range: 'bytes=100-' }
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with 416 (Range Not Satisfiable)', function () {
+        expect(response.statusCode).toEqual(416);
+      });
+
+      it('should report the size of the s3 file', function () {
+        expect(response.headers['content-range']).toEqual('bytes */24');
+      });
+    });
+
+    describe('with multiple ranges', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/files7/1.pdf',
+          headers: { range: 'bytes=0-1,4-5' }
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with 200 (OK) and the whole s3 file', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(response.headers['accept-ranges']).toEqual('bytes');
+        expect(response.payload).toEqual('test2\ntest2\ntest2\ntest2\n');
+      });
+    });
+
+    describe('[If-Range]', function () {
+      const makeRequest = AWS.S3.prototype.makeRequest;
+      const etag = '"924a258504e85340c9497c9a60a81916"';
+      let makeRequestSpy;
+
+      const request = function (ifRange) {
+        const headers = { range: 'bytes=0-4', 'if-range': ifRange };
+
+        makeRequestSpy.reset();
+        return server.inject({ method: 'GET', url: '/files7/1.pdf', headers });
+      };
+
+      // s3rver does not support `If-Match`, fake the 412 (Precondition Failed) of S3
+      before('spy on s3 requests and evaluate `IfMatch`', function () {
+        makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+          const req = makeRequest.call(this, operation, Helpers.omit(params, ['IfMatch']), callback);
+
+          if (params.IfMatch && params.IfMatch !== etag) {
+            req.send = function () {
+              const err = Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), {
+                code: 'PreconditionFailed',
+                statusCode: 412
+              });
+
+              process.nextTick(() => {
+                req.emit('httpHeaders', [412, {}, req.response, 'Precondition Failed']);
+                req.emit('error', [err, req.response]);
+              });
+            };
+          }
+
+          return req;
+        });
+      });
+
+      after('restore s3 requests', function () {
+        makeRequestSpy.restore();
+      });
+
+      it('should respond with 206 (Partial Content) for a matching `If-Range`', function () {
+        return request(etag)
+          .then((res) => {
+            const [[operation, params]] = makeRequestSpy.calls.map((call) => call.arguments);
+
+            expect(res.statusCode).toEqual(206);
+            expect(res.payload).toEqual('test2');
+            expect(makeRequestSpy.calls.length).toEqual(1);
+            expect(operation).toEqual('getObject');
+            expect(params).toInclude({ Range: 'bytes=0-4', IfMatch: etag });
+          });
+      });
+
+      it('should respond with 200 (OK) and the whole s3 file for a non-matching `If-Range`', function () {
+        return request('"outdated"')
+          .then((res) => {
+            const [, [, params]] = makeRequestSpy.calls.map((call) => call.arguments);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.payload).toEqual('test2\ntest2\ntest2\ntest2\n');
+            expect(makeRequestSpy.calls.length).toEqual(2);
+            expect(params.Range).toNotExist();
+          });
+      });
+
+      it('should respond with 200 (OK) and the whole s3 file for a weak `If-Range`', function () {
+        return request(`W/${etag}`)
+          .then((res) => {
+            const [[, params]] = makeRequestSpy.calls.map((call) => call.arguments);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.payload).toEqual('test2\ntest2\ntest2\ntest2\n');
+            expect(params.Range).toNotExist();
+          });
+      });
+    });
+
+    describe('[onResponse]', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/files8/1.pdf',
+          headers: { range: 'bytes=0-4' }
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should call `onResponse` with the correct schema', function () {
+        expect(onResponseError).toNotExist();
+      });
+
+      it('should pass the range to `onResponse`', function () {
+        expect(onResponseOptions).toInclude({
+          defaultStatusCode: 206,
+          contentRange: 'bytes 0-4/24',
+          contentLength: 5
+        });
+      });
+
+      it('should respond with the requested part of the s3 file', function () {
+        expect(response.statusCode).toEqual(206);
+        expect(response.payload).toEqual('test2');
+      });
+    });
+  });
+
+  describe('[conditional requests]', function () {
+    let etag;
+    let lastModified;
+
+    const request = function (headers) {
+      return server.inject({ method: 'GET', url: '/files7/1.pdf', headers });
+    };
+
+    before('load the validators of the s3 file', function () {
+      return request({})
+        .then((res) => {
+          etag = res.headers.etag;
+          lastModified = res.headers['last-modified'];
+        });
+    });
+
+    it('should respond with the `ETag` and `Last-Modified` headers', function () {
+      expect(etag).toEqual('"924a258504e85340c9497c9a60a81916"');
+      expect(lastModified).toExist();
+    });
+
+    it('should respond with 304 (Not Modified) for a matching `If-None-Match`', function () {
+      return request({ 'if-none-match': `"xxx", ${etag}` })
+        .then((res) => {
+          expect(res.statusCode).toEqual(304);
+          expect(res.headers.etag).toEqual(etag);
+          expect(res.payload).toEqual('');
+        });
+    });
+
+    it('should respond with 200 (OK) for a non-matching `If-None-Match`', function () {
+      return request({ 'if-none-match': '"xxx"', 'if-modified-since': lastModified })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.payload).toEqual('test2\ntest2\ntest2\ntest2\n');
+        });
+    });
+
+    it('should respond with 304 (Not Modified) if not modified since `If-Modified-Since`', function () {
+      return request({ 'if-modified-since': lastModified })
+        .then((res) => {
+          expect(res.statusCode).toEqual(304);
+        });
+    });
+
+    it('should let s3 evaluate the `If-Modified-Since` condition', function () {
+      const makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCallThrough();
+
+      return request({ 'if-modified-since': lastModified })
+        .then((res) => {
+          const operations = makeRequestSpy.calls.map(({ arguments: [operation] }) => operation);
+          const [[, params]] = makeRequestSpy.calls.map((call) => call.arguments);
+
+          makeRequestSpy.restore();
+          expect(res.statusCode).toEqual(304);
+          expect(res.payload).toEqual('');
+          expect(operations).toEqual(['getObject', 'headObject']);
+          expect(params.IfModifiedSince).toEqual(new Date(lastModified));
+        }, (err) => {
+          makeRequestSpy.restore();
+          throw err;
+        });
+    });
+
+    it('should respond with 200 (OK) if modified since `If-Modified-Since`', function () {
+      return request({ 'if-modified-since': new Date(Date.parse(lastModified) - 1000).toUTCString() })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+        });
+    });
+
+    it('should respond with 200 (OK) for a matching `If-Match`', function () {
+      return request({ 'if-match': etag })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+        });
+    });
+
+    it('should respond with 412 (Precondition Failed) for a non-matching `If-Match`', function () {
+      return request({ 'if-match': '"xxx"' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(412);
+        });
+    });
+
+    it('should respond with 412 (Precondition Failed) if modified since `If-Unmodified-Since`', function () {
+      return request({ 'if-unmodified-since': new Date(Date.parse(lastModified) - 1000).toUTCString() })
+        .then((res) => {
+          expect(res.statusCode).toEqual(412);
+        });
+    });
+
+    it('should respond with 412 (Precondition Failed) for a failing `If-Match` of a range', function () {
+      return request({ 'if-match': '"nope"', range: 'bytes=0-4' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(412);
+        });
+    });
+
+    it('should respond with 412 (Precondition Failed) for an outdated `If-Unmodified-Since` of a range', function () {
+      const ifUnmodifiedSince = new Date(Date.parse(lastModified) - 1000).toUTCString();
+
+      return request({ 'if-unmodified-since': ifUnmodifiedSince, range: 'bytes=0-4' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(412);
+        });
+    });
+
+    it('should respond with 206 (Partial Content) for a matching `If-Match` of a range', function () {
+      return request({ 'if-match': etag, range: 'bytes=0-4' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(206);
+          expect(res.payload).toEqual('test2');
+        });
+    });
+
+    it('should respond with 304 (Not Modified) when delegating to `onResponse`', function () {
+      return server.inject({ method: 'GET', url: '/files8/1.pdf', headers: { 'if-none-match': etag } })
+        .then((res) => {
+          expect(res.statusCode).toEqual(304);
+        });
+    });
+  });
+
+  describe('[listing]', function () {
+    let onResponseError;
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/list/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files2',
+            listing: 'auto'
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/list2',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files2',
+            listing: true,
+            delimiter: false,
+            maxKeys: 1,
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.get);
+              onResponseError = error;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply({ keys: res.objects.map((object) => object.key), prefix: options.prefix });
+            }
+          }
+        }
+      }]);
+    });
+
+    describe('request with a trailing slash', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/list/'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with 200 (OK)', function () {
+        expect(response.statusCode).toEqual(200);
+      });
+
+      it('should list the objects and folders under the prefix', function () {
+        const payload = JSON.parse(response.payload);
+
+        expect(payload).toInclude({
+          prefix: 'files2/',
+          delimiter: '/',
+          folders: ['files2/deeper/'],
+          isTruncated: false
+        });
+
+        expect(payload.objects.length).toEqual(1);
+        expect(payload.objects[0]).toInclude({
+          key: 'files2/1.pdf',
+          size: 24,
+          etag: '"924a258504e85340c9497c9a60a81916"'
+        });
+        expect(payload.objects[0].lastModified).toExist();
+      });
+    });
+
+    describe('request of a nested folder', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/list/deeper/'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should list the objects under the nested prefix', function () {
+        const payload = JSON.parse(response.payload);
+
+        expect(payload.prefix).toEqual('files2/deeper/');
+        expect(payload.objects.map((object) => object.key)).toEqual(['files2/deeper/3.pdf']);
+        expect(payload.folders).toEqual([]);
+      });
+    });
+
+    describe('request of a file', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/list/1.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with the content of the s3 file', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(response.payload).toEqual('test2\ntest2\ntest2\ntest2\n');
+      });
+    });
+
+    describe('[listing=true][delimiter=false][maxKeys][onResponse]', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/list2'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should call `onResponse` with the correct schema', function () {
+        expect(onResponseError).toNotExist();
+      });
+
+      it('should respond with the intercepted payload', function () {
+        const payload = JSON.parse(response.payload);
+
+        expect(payload).toEqual({ keys: ['files2/1.pdf'], prefix: 'files2/' });
+      });
+    });
+  });
+
+  describe('[website]', function () {
+    const s3Params = {
+      s3ForcePathStyle: true,
+      endpoint: new AWS.Endpoint('http://localhost:4569')
+    };
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/site/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: false,
+            bucket: 'test',
+            key: 'site',
+            website: { errorDocument: '404.html' }
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/site2/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: false,
+            bucket: 'test',
+            key: 'site',
+            website: { spa: true }
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/site3/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: false,
+            bucket: 'test',
+            key: 'site',
+            website: {}
+          }
+        }
+      }]);
+    });
+
+    it('should serve the index document of the root', function () {
+      return server.inject({ method: 'GET', url: '/site/' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.headers['content-type']).toEqual('text/html; charset=utf-8');
+          expect(res.payload).toEqual('<h1>index</h1>\n');
+        });
+    });
+
+    it('should serve the index document of a folder', function () {
+      return server.inject({ method: 'GET', url: '/site/guide/' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.payload).toEqual('<h1>guide</h1>\n');
+        });
+    });
+
+    it('should serve a document', function () {
+      return server.inject({ method: 'GET', url: '/site/guide/index.html' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.payload).toEqual('<h1>guide</h1>\n');
+        });
+    });
+
+    it('should serve the error document with 404 (Not Found) if the key does not exist', function () {
+      return server.inject({ method: 'GET', url: '/site/unknown.html' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+          expect(res.headers['content-type']).toEqual('text/html; charset=utf-8');
+          expect(res.payload).toEqual('<h1>not found</h1>\n');
+        });
+    });
+
+    it('should not apply conditional headers to the error document', function () {
+      return server.inject({ method: 'GET', url: '/site/unknown.html', headers: { 'if-none-match': '*' } })
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+
+    it('should respond to `HEAD` requests with the error document status', function () {
+      return server.inject({ method: 'HEAD', url: '/site/unknown.html' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+          expect(res.headers['content-type']).toEqual('text/html; charset=utf-8');
+        });
+    });
+
+    it('should serve the root index document for unknown keys in `spa` mode', function () {
+      return server.inject({ method: 'GET', url: '/site2/app/route' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.payload).toEqual('<h1>index</h1>\n');
+        });
+    });
+
+    it('should respond with 404 (Not Found) without error document', function () {
+      return server.inject({ method: 'GET', url: '/site3/unknown.html' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+          expect(res.headers['content-type']).toEqual('application/json; charset=utf-8');
+        });
+    });
+  });
+
+  describe('[delivery=redirect]', function () {
+    let onResponseError;
+    let onResponseOptions;
+
+    const s3Params = {
+      s3ForcePathStyle: true,
+      endpoint: new AWS.Endpoint('http://localhost:4569')
+    };
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/redirect/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: 'attachment',
+            bucket: 'test',
+            key: 'files2',
+            delivery: 'redirect',
+            signedUrlExpires: 60,
+            overrideContentTypes: {
+              'application/octet-stream': 'application/pdf'
+            }
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/redirect2/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: false,
+            bucket: 'test',
+            key: 'files2',
+            delivery: 'redirect',
+            redirectStatusCode: 307,
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.get);
+              onResponseError = error;
+              onResponseOptions = options;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply({ url: res });
+            }
+          }
+        }
+      }]);
+    });
+
+    describe('valid request', function () {
+      let response;
+      let location;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/redirect/1.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+            location = Url.parse(res.headers.location, true);
+          });
+      });
+
+      it('should respond with 302 (Found)', function () {
+        expect(response.statusCode).toEqual(302);
+      });
+
+      it('should redirect to the s3 object', function () {
+        expect(location.host).toEqual('localhost:4569');
+        expect(location.pathname).toEqual('/test/files2/1.pdf');
+      });
+
+      it('should pass the resolved content type and disposition to s3', function () {
+        expect(location.query).toInclude({
+          'response-content-type': 'application/pdf',
+          'response-content-disposition': 'attachment; filename="1.pdf"'
+        });
+      });
+
+      it('should use the configured expiry', function () {
+        const expires = location.query['X-Amz-Expires'] || (location.query.Expires - Math.floor(Date.now() / 1000));
+
+        expect(Number(expires)).toBeLessThanOrEqualTo(60).toBeGreaterThan(50);
+      });
+    });
+
+    describe('when file does not exist', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/redirect/2.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with HTTP 404 (Not Found)', function () {
+        expect(response.statusCode).toEqual(404);
+      });
+    });
+
+    describe('[redirectStatusCode][onResponse]', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/redirect2/1.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should call `onResponse` with the correct schema', function () {
+        expect(onResponseError).toNotExist();
+      });
+
+      it('should pass the presigned url and status code', function () {
+        const payload = JSON.parse(response.payload);
+
+        expect(onResponseOptions.defaultStatusCode).toEqual(307);
+        expect(onResponseOptions.location).toEqual(payload.url);
+        expect(payload.url).toInclude('/test/files2/1.pdf');
+      });
+    });
+  });
+
+  describe('[cacheControl]', function () {
+    const s3Params = {
+      s3ForcePathStyle: true,
+      endpoint: new AWS.Endpoint('http://localhost:4569')
+    };
+
+    let cacheControlArgs;
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/cache/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: false,
+            bucket: 'test',
+            key: 'cached'
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/cache2/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: false,
+            bucket: 'test',
+            key: 'cached',
+            cacheControl: 'private, no-cache'
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/cache3/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: false,
+            bucket: 'test',
+            cacheControl(request, options) {
+              cacheControlArgs = options;
+
+              if (/^text\/css/.test(options.metaData.ContentType)) {
+                return 'public, max-age=31536000, immutable';
+              }
+
+              return null;
+            }
+          }
+        }
+      }]);
+    });
+
+    it('should pass through the caching headers stored on s3', function () {
+      return server.inject({ method: 'GET', url: '/cache/style.css' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.headers['cache-control']).toEqual('public, max-age=3600');
+          expect(res.headers.expires).toEqual('Thu, 01 Jan 2037 00:00:00 GMT');
+        });
+    });
+
+    it('should pass through the caching headers for `HEAD` requests', function () {
+      return server.inject({ method: 'HEAD', url: '/cache/style.css' })
+        .then((res) => {
+          expect(res.headers['cache-control']).toEqual('public, max-age=3600');
+        });
+    });
+
+    it('should pass through the caching headers for 304 (Not Modified)', function () {
+      return server.inject({ method: 'GET', url: '/cache/style.css', headers: { 'if-none-match': '*' } })
+        .then((res) => {
+          expect(res.statusCode).toEqual(304);
+          expect(res.headers['cache-control']).toEqual('public, max-age=3600');
+        });
+    });
+
+    it('should override the caching headers with a string', function () {
+      return server.inject({ method: 'GET', url: '/cache2/style.css' })
+        .then((res) => {
+          expect(res.headers['cache-control']).toEqual('private, no-cache');
+          expect(res.headers.expires).toNotExist();
+        });
+    });
+
+    it('should resolve the caching headers with a function', function () {
+      return server.inject({ method: 'GET', url: '/cache3/cached/style.css' })
+        .then((res) => {
+          expect(res.headers['cache-control']).toEqual('public, max-age=31536000, immutable');
+          expect(cacheControlArgs).toInclude({ bucket: 'test', key: 'cached/style.css' });
+          expect(cacheControlArgs.metaData.CacheControl).toEqual('public, max-age=3600');
+        });
+    });
+
+    it('should fall back to the s3 values if the function resolves `null`', function () {
+      return server.inject({ method: 'GET', url: '/cache3/files2/1.pdf' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.headers['cache-control']).toEqual('no-cache');
+          expect(res.headers.expires).toNotExist();
+        });
+    });
+  });
+
+  describe('[archive]', function () {
+    let onResponseError;
+    let onResponseOptions;
+
+    // resolves with the entries of a zip buffer: Object<name, content>
+    const readArchive = function (buffer) {
+      return new Promise((resolve, reject) => {
+        Yauzl.fromBuffer(buffer, { lazyEntries: true }, (err, zipfile) => {
+          if (err) {
+            return reject(err);
+          }
+
+          const entries = {};
+
+          zipfile.on('entry', (entry) => {
+            zipfile.openReadStream(entry, (err, stream) => {
+              if (err) {
+                return reject(err);
+              }
+
+              const chunks = [];
+              stream.on('data', (chunk) => chunks.push(chunk));
+              return stream.on('end', () => {
+                entries[entry.fileName] = Buffer.concat(chunks).toString('utf8');
+                zipfile.readEntry();
+              });
+            });
+          });
+
+          zipfile.on('end', () => resolve(entries));
+          zipfile.on('error', reject);
+
+          return zipfile.readEntry();
+        });
+      });
+    };
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/archive/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            archive: true
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/archive2',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            mode: 'attachment',
+            archive: {
+              keys: () => ['files/1.pdf', 'files2/deeper/3.pdf']
+            },
+            filename: (request, { key, filename }) => {
+              if (key.endsWith('.zip')) {
+                return 'selection.zip';
+              }
+
+              return filename.replace(/\//g, '-');
+            },
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.get);
+              onResponseError = error;
+              onResponseOptions = options;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply(res)
+                .type(options.contentType)
+                .header('Content-Disposition', options.contentDisposition);
+            }
+          }
+        }
+      }]);
+    });
+
+    describe('request of a prefix', function () {
+      let response;
+      let entries;
+      let archiveRequest;
+
+      before('keep the request', function () {
+        server.ext('onRequest', (request, reply) => {
+          if (request.path === '/archive/files2') {
+            archiveRequest = request;
+          }
+
+          return reply.continue();
+        });
+      });
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/archive/files2'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+            return readArchive(res.rawPayload);
+          })
+          .then((result) => {
+            entries = result;
+          });
+      });
+
+      it('should respond with 200 (OK)', function () {
+        expect(response.statusCode).toEqual(200);
+      });
+
+      it('should respond with a zip archive named after the prefix', function () {
+        expect(response.headers['content-type']).toEqual('application/zip');
+        expect(response.headers['content-disposition']).toEqual('attachment; filename="files2.zip"');
+      });
+
+      it('should archive all objects under the prefix', function () {
+        expect(entries).toEqual({
+          '1.pdf': 'test2\ntest2\ntest2\ntest2\n',
+          'deeper/3.pdf': 'test3\ntest3\ntest3\ntest3\n'
+        });
+      });
+
+      it('should remove the disconnect listeners of the loaded objects', function () {
+        expect(archiveRequest.hasListeners('disconnect')).toBe(false);
+      });
+    });
+
+    describe('HEAD request of a prefix', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'HEAD',
+          url: '/archive/files2'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with the headers of the zip archive', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(response.headers['content-type']).toEqual('application/zip');
+        expect(response.payload).toEqual('');
+      });
+    });
+
+    describe('request of a prefix without objects', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/archive/unknown'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with 404 (Not Found)', function () {
+        expect(response.statusCode).toEqual(404);
+      });
+    });
+
+    describe('[keys as function][filename as function][onResponse]', function () {
+      let response;
+      let entries;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/archive2'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+            return readArchive(res.rawPayload);
+          })
+          .then((result) => {
+            entries = result;
+          });
+      });
+
+      it('should call `onResponse` with the correct schema', function () {
+        expect(onResponseError).toNotExist();
+        expect(onResponseOptions).toInclude({
+          bucket: 'test',
+          prefix: '',
+          keys: ['files/1.pdf', 'files2/deeper/3.pdf'],
+          contentType: 'application/zip',
+          defaultStatusCode: 200
+        });
+      });
+
+      it('should use the resolved filename for the archive', function () {
+        expect(response.headers['content-disposition']).toEqual('attachment; filename="selection.zip"');
+      });
+
+      it('should archive the resolved keys with the resolved entry names', function () {
+        expect(entries).toEqual({
+          'files-1.pdf': 'test\ntest\ntest\ntest\n',
+          'files2-deeper-3.pdf': 'test3\ntest3\ntest3\ntest3\n'
+        });
+      });
+    });
+  });
+
+  describe('[versionId]', function () {
+    const makeRequest = AWS.S3.prototype.makeRequest;
+    let makeRequestSpy;
+    let listParams;
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/versions/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files',
+            versionId: true
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/versions-list/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            listing: true,
+            listVersions: true,
+            onResponse(...args) {
+              const [err, res, request, reply] = args; // eslint-disable-line no-unused-vars
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.get);
+
+              return reply(err || error || res);
+            }
+          }
+        }
+      }]);
+    });
+
+    // s3rver does not support versioning
+    before('spy on s3 requests and fake `listObjectVersions` responses', function () {
+      makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+        if (operation !== 'listObjectVersions') {
+          return makeRequest.call(this, operation, params, callback);
+        }
+
+        listParams = params;
+        return process.nextTick(() => callback(null, {
+          Versions: [
+            { Key: 'files/1.pdf', VersionId: 'version-2', IsLatest: true, Size: 24, ETag: '"etag-2"' },
+            { Key: 'files/1.pdf', VersionId: 'version-1', IsLatest: false, Size: 20, ETag: '"etag-1"' }
+          ],
+          DeleteMarkers: [
+            { Key: 'files/2.pdf', VersionId: 'version-3', IsLatest: true }
+          ],
+          CommonPrefixes: [],
+          IsTruncated: true,
+          NextKeyMarker: 'files/2.pdf',
+          NextVersionIdMarker: 'version-3'
+        }));
+      });
+    });
+
+    after('restore s3 requests', function () {
+      makeRequestSpy.restore();
+    });
+
+    describe('request of a version', function () {
+      let response;
+
+      before('call test route', function () {
+        makeRequestSpy.reset();
+
+        const params = {
+          method: 'GET',
+          url: '/versions/1.pdf?versionId=version-1'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should load the requested version', function () {
+        const [[operation, params]] = makeRequestSpy.calls.map((call) => call.arguments);
+
+        expect(operation).toEqual('getObject');
+        expect(params).toInclude({ Key: 'files/1.pdf', VersionId: 'version-1' });
+      });
+
+      it('should respond with the content of the s3 file', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(response.payload).toEqual('test\ntest\ntest\ntest\n');
+      });
+    });
+
+    describe('request of a version listing', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/versions-list/files/?keyMarker=files/0.pdf&versionIdMarker=version-0'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should pass the markers to `listObjectVersions`', function () {
+        expect(listParams).toInclude({
+          Prefix: 'files/',
+          KeyMarker: 'files/0.pdf',
+          VersionIdMarker: 'version-0'
+        });
+      });
+
+      it('should respond with the versions and delete markers', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(JSON.parse(response.payload)).toEqual({
+          prefix: 'files/',
+          delimiter: '/',
+          objects: [
+            { key: 'files/1.pdf', versionId: 'version-2', isLatest: true, size: 24, etag: '"etag-2"' },
+            { key: 'files/1.pdf', versionId: 'version-1', isLatest: false, size: 20, etag: '"etag-1"' }
+          ],
+          deleteMarkers: [
+            { key: 'files/2.pdf', versionId: 'version-3', isLatest: true }
+          ],
+          folders: [],
+          isTruncated: true,
+          nextKeyMarker: 'files/2.pdf',
+          nextVersionIdMarker: 'version-3'
+        });
+      });
+    });
+  });
+
+  describe('[bucket failover]', function () {
+    let onResponseOptions;
+
+    const s3Params = {
+      s3ForcePathStyle: true,
+      endpoint: new AWS.Endpoint('http://localhost:4569')
+    };
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/failover/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            bucket: ['missing-bucket', 'test'],
+            key: 'files'
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/failover2/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            bucket: () => Promise.resolve(['test', 'missing-bucket']),
+            key: 'files',
+            onResponse(err, res, request, reply, options) {
+              onResponseOptions = options;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply(res);
+            }
+          }
+        }
+      }]);
+    });
+
+    describe('request of an object missing in the first bucket', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/failover/1.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should serve the object from the next bucket', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(response.payload).toEqual('test\ntest\ntest\ntest\n');
+      });
+
+      it('should add the serving bucket as debug header', function () {
+        expect(response.headers['x-s3-bucket']).toEqual('test');
+      });
+    });
+
+    describe('request of an object missing in all buckets', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/failover/2.pdf'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should respond with HTTP 404 (Not Found) of the first bucket', function () {
+        expect(response.statusCode).toEqual(404);
+        const payload = response.request.response.source;
+
+        expect(payload.message).toEqual('could not find Object: [s3://missing-bucket/files/2.pdf]');
+      });
+    });
+
+    describe('[bucket as function][onResponse]', function () {
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/failover2/1.pdf'
+        };
+
+        return server.inject(params);
+      });
+
+      it('should pass the serving bucket to `onResponse`', function () {
+        expect(onResponseOptions.bucket).toEqual('test');
+      });
+    });
+  });
+
+  describe('[exposeMetadata]', function () {
+    let onResponseError;
+    let onResponseOptions;
+    let filenameMetadata;
+
+    const s3Params = {
+      s3ForcePathStyle: true,
+      endpoint: new AWS.Endpoint('http://localhost:4569')
+    };
+
+    before('define routes', function () {
+      return server.route([{
+        method: 'GET',
+        path: '/meta/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            bucket: 'test',
+            key: 'meta',
+            exposeMetadata: ['author', /^checksum-/]
+          }
+        }
+      }, {
+        method: 'GET',
+        path: '/meta2/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            mode: 'attachment',
+            bucket: 'test',
+            key: 'meta',
+            exposeMetadata: (request, { key, metadata }) => {
+              expect(key).toEqual('meta/report.txt');
+
+              return { 'X-Author': metadata.author };
+            },
+            filename: (request, { filename, metadata }) => {
+              filenameMetadata = metadata;
+
+              return `${metadata.author}-${filename || 'report.txt'}`;
+            },
+            onResponse(...args) {
+              const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+
+              const { error } = Joi.validate(args, Schemas.onResponseParamsSchema.get);
+              onResponseError = error;
+              onResponseOptions = options;
+
+              if (err) {
+                return reply(err);
+              }
+
+              return reply(res).header('X-Author', options.metadata.author);
+            }
+          }
+        }
+      }]);
+    });
+
+    describe('[exposeMetadata as list]', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/meta/report.txt'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should expose the matching meta data as headers', function () {
+        expect(response.statusCode).toEqual(200);
+        expect(response.headers).toInclude({
+          'x-amz-meta-author': 'jane',
+          'x-amz-meta-checksum-sha256': '3f2a'
+        });
+      });
+
+      it('should not expose other meta data', function () {
+        expect(response.headers).toExcludeKey('x-amz-meta-internal-note');
+      });
+    });
+
+    describe('[exposeMetadata as function][filename as function][onResponse]', function () {
+      let response;
+
+      before('call test route', function () {
+        const params = {
+          method: 'GET',
+          url: '/meta2/report.txt'
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should call `onResponse` with the correct schema', function () {
+        expect(onResponseError).toNotExist();
+      });
+
+      it('should pass the full meta data to `onResponse`', function () {
+        expect(onResponseOptions.metadata).toEqual({
+          author: 'jane',
+          'checksum-sha256': '3f2a',
+          'internal-note': 'do not share'
+        });
+        expect(response.headers['x-author']).toEqual('jane');
+      });
+
+      it('should pass the meta data to `filename`', function () {
+        expect(filenameMetadata).toInclude({ author: 'jane' });
+        expect(onResponseOptions.contentDisposition).toEqual('attachment; filename="jane-report.txt"');
+      });
+    });
+  });
+
+  describe('[sseCustomerKey]', function () {
+    const customerKey = Buffer.alloc(32, 'k');
+    const makeRequest = AWS.S3.prototype.makeRequest;
+    let makeRequestSpy;
+    let response;
+
+    before('define route', function () {
+      return server.route({
+        method: 'GET',
+        path: '/encrypted/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'files',
+            sseCustomerKey: (request, { bucket, key }) => {
+              expect(bucket).toEqual('test');
+              expect(key).toEqual('files/1.pdf');
+
+              return customerKey;
+            }
+          }
+        }
+      });
+    });
+
+    // s3rver does not support SSE-C (and the aws-sdk refuses to send keys over HTTP)
+    before('spy on s3 requests and strip the encryption params', function () {
+      makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+        const strippedParams = Helpers.omit(params, ['SSECustomerAlgorithm', 'SSECustomerKey', 'SSECustomerKeyMD5']);
+        return makeRequest.call(this, operation, strippedParams, callback);
+      });
+    });
+
+    after('restore s3 requests', function () {
+      makeRequestSpy.restore();
+    });
+
+    before('call test route', function () {
+      const params = {
+        method: 'GET',
+        url: '/encrypted/1.pdf'
+      };
+
+      return server.inject(params)
+        .then((res) => {
+          response = res;
+        });
+    });
+
+    it('should load the s3 file with the customer provided key', function () {
+      const [[operation, params]] = makeRequestSpy.calls.map((call) => call.arguments);
+
+      expect(operation).toEqual('getObject');
+      expect(params).toInclude({
+        SSECustomerAlgorithm: 'AES256',
+        SSECustomerKey: customerKey
+      });
+    });
+
+    it('should respond with the content of the s3 file', function () {
+      expect(response.statusCode).toEqual(200);
+      expect(response.payload).toEqual('test\ntest\ntest\ntest\n');
+    });
+  });
+
+  describe('[sseCustomerKey] with a rejected s3 request', function () {
+    const makeRequest = AWS.S3.prototype.makeRequest;
+    let makeRequestSpy;
+    let s3Error;
+
+    // s3rver does not support SSE-C, fake the error responses of S3
+    before('spy on s3 requests and reject them', function () {
+      makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+        const req = makeRequest.call(this, operation, params, callback);
+
+        req.send = function () {
+          const err = Object.assign(new Error(s3Error.message), s3Error);
+
+          process.nextTick(() => {
+            req.emit('httpHeaders', [err.statusCode, {}, req.response, '']);
+            req.emit('error', [err, req.response]);
+          });
+        };
+
+        return req;
+      });
+    });
+
+    after('restore s3 requests', function () {
+      makeRequestSpy.restore();
+    });
+
+    const request = function (error) {
+      s3Error = error;
+      return server.inject({ method: 'GET', url: '/encrypted/1.pdf' });
+    };
+
+    it('should explain errors caused by the customer provided key', function () {
+      const message = 'The object was stored using a form of Server Side Encryption. ' +
+        'The correct parameters must be provided to retrieve the object.';
+
+      return request({ code: 'InvalidRequest', statusCode: 400, message })
+        .then((res) => {
+          expect(res.statusCode).toEqual(400);
+          expect(JSON.parse(res.payload).message).toEqual(
+            'could not decrypt Object: [s3://test/files/1.pdf], the customer encryption key is missing or wrong'
+          );
+        });
+    });
+
+    it('should keep other errors', function () {
+      return request({ code: 'AccessDenied', statusCode: 403, message: 'Access Denied' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(403);
+          expect(JSON.parse(res.payload)).toEqual({ statusCode: 403, error: 'Forbidden' });
+        });
+    });
+  });
+
+  describe('[client abort]', function () {
+    const s3 = new AWS.S3({
+      s3ForcePathStyle: true,
+      endpoint: new AWS.Endpoint('http://localhost:4569')
+    });
+
+    let abortSpy;
+
+    before('upload a large s3 file', function () {
+      const params = {
+        Bucket: 'test',
+        Key: 'large/large.bin',
+        Body: Buffer.alloc(8 * 1024 * 1024)
+      };
+
+      return s3.putObject(params).promise();
+    });
+
+    after('delete the large s3 file', function () {
+      return s3.deleteObject({ Bucket: 'test', Key: 'large/large.bin' }).promise();
+    });
+
+    before('define route', function () {
+      return server.route({
+        method: 'GET',
+        path: '/large/{path*}',
+        handler: {
+          s3: {
+            s3Params: {
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'large' // prefix
+          }
+        }
+      });
+    });
+
+    before('start server', function () {
+      return server.start();
+    });
+
+    before('spy on aborted s3 requests', function () {
+      abortSpy = expect.spyOn(AWS.Request.prototype, 'abort').andCallThrough();
+    });
+
+    after('restore aborted s3 requests', function () {
+      abortSpy.restore();
+    });
+
+    before('call test route and disconnect', function (done) {
+      const req = Http.get('http://localhost:8888/large/large.bin', (res) => {
+        expect(res.statusCode).toEqual(200);
+
+        // disconnect without consuming the payload
+        req.abort();
+      });
+
+      req.on('error', () => {});
+      req.on('abort', () => setTimeout(done, 100));
+    });
+
+    it('should abort the s3 request', function () {
+      expect(abortSpy.calls.length).toEqual(1);
+    });
+  });
+
   describe('multi-level paths', function () {
     before('define route', function () {
       return server.route({
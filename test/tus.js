@@ -0,0 +1,596 @@
+/* eslint prefer-arrow-callback: 0 */
+
+const Crypto = require('crypto');
+const Path = require('path');
+
+const AWS = require('aws-sdk');
+const Hapi = require('hapi');
+const RimRaf = require('rimraf');
+const S3rver = require('s3rver');
+const expect = require('expect');
+
+const HapiServeS3 = require('../src');
+
+process.env.AWS_ACCESS_KEY_ID = 'FAKE';
+process.env.AWS_SECRET_ACCESS_KEY = 'FAKE';
+
+describe('[integration/tus] "tus" spec', function () {
+  const partSize = 1024 * 1024 * 5;
+  const makeRequest = AWS.S3.prototype.makeRequest;
+  // multipart uploads by `UploadId`
+  const uploads = {};
+  let server;
+  let s3rver;
+  let requests;
+  let makeRequestSpy;
+  // a promise, which delays the faked multipart requests while pending
+  let multipartHold = null;
+
+  before('create a mocked s3 server', function (done) {
+    const params = {
+      port: 4569,
+      hostname: 'localhost',
+      silent: true,
+      directory: Path.join(__dirname, './fixtures/buckets')
+    };
+
+    s3rver = new S3rver(params).run(done);
+  });
+
+  after('stop s3rver', function (done) {
+    s3rver.close(done);
+  });
+
+  before('load hapi server with serve-s3 plugin', function () {
+    server = new Hapi.Server();
+    server.connection({ port: 8888 });
+
+    return server.register({
+      register: HapiServeS3,
+      options: {}
+    });
+  });
+
+  after('stop server', function () {
+    return server.stop();
+  });
+
+  after('cleanup files', function () {
+    RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/tus'));
+    RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/.tus'));
+    RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/.locks'));
+  });
+
+  before('define the test routes', function () {
+    const s3Params = { // these options are just for testing purpose
+      s3ForcePathStyle: true,
+      endpoint: new AWS.Endpoint('http://localhost:4569')
+    };
+
+    return server.route([
+      {
+        method: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+        path: '/tus/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            bucket: 'test',
+            key: 'tus', // prefix
+            allowedContentTypes: ['application/octet-stream', 'text/plain'],
+            tus: { maxSize: partSize * 2 }
+          }
+        }
+      },
+      {
+        method: ['GET', 'POST', 'PATCH'],
+        path: '/locked/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            bucket: 'test',
+            key: 'tus',
+            atomicCreate: 'lock',
+            tus: true
+          }
+        }
+      },
+      {
+        method: ['GET', 'POST'],
+        path: '/expiring/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            bucket: 'test',
+            key: 'tus',
+            tus: { expires: 1 }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/files/{path*}',
+        handler: {
+          s3: {
+            s3Params,
+            bucket: 'test'
+          }
+        }
+      }
+    ]);
+  });
+
+  // s3rver does not support multipart uploads, these are faked in memory
+  before('record s3 requests and fake multipart uploads', function () {
+    const noSuchUpload = function () {
+      return Object.assign(new Error('The specified upload does not exist.'), {
+        code: 'NoSuchUpload',
+        statusCode: 404
+      });
+    };
+
+    const multipart = {
+      createMultipartUpload(params) {
+        const UploadId = Crypto.randomBytes(8).toString('hex');
+        uploads[UploadId] = { params, parts: {} };
+
+        return { Bucket: params.Bucket, Key: params.Key, UploadId };
+      },
+
+      uploadPart({ UploadId, PartNumber, Body }) {
+        if (!uploads[UploadId]) {
+          throw noSuchUpload();
+        }
+
+        uploads[UploadId].parts[PartNumber] = Body;
+
+        return { ETag: `"${Crypto.createHash('md5').update(Body).digest('hex')}"` };
+      },
+
+      listParts({ UploadId }) {
+        if (!uploads[UploadId]) {
+          throw noSuchUpload();
+        }
+
+        const { parts } = uploads[UploadId];
+        const Parts = Object.keys(parts)
+          .map((PartNumber) => ({ PartNumber: parseInt(PartNumber, 10), Size: parts[PartNumber].length }));
+
+        return { Parts, IsTruncated: false };
+      },
+
+      abortMultipartUpload({ UploadId }) {
+        if (!uploads[UploadId]) {
+          throw noSuchUpload();
+        }
+
+        delete uploads[UploadId];
+        return {};
+      }
+    };
+
+    makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+      requests.push([operation, params]);
+
+      // store the concatenated parts with s3rver
+      if (operation === 'completeMultipartUpload') {
+        const upload = uploads[params.UploadId];
+        const Body = Buffer.concat(params.MultipartUpload.Parts.map(({ PartNumber }) => upload.parts[PartNumber]));
+        const putParams = Object.assign({}, upload.params, { Body });
+
+        delete uploads[params.UploadId];
+        return makeRequest.call(this, 'putObject', putParams, callback);
+      }
+
+      if (!multipart[operation]) {
+        return makeRequest.call(this, operation, params, callback);
+      }
+
+      Promise.resolve(multipartHold).then(() => {
+        let data;
+
+        try {
+          data = multipart[operation](params);
+        } catch (err) {
+          return callback(err);
+        }
+
+        return callback(null, data);
+      });
+
+      return null;
+    });
+  });
+
+  after('restore s3 requests', function () {
+    makeRequestSpy.restore();
+  });
+
+  beforeEach('reset the recorded requests', function () {
+    requests = [];
+  });
+
+  const encode = function (value) {
+    return Buffer.from(value).toString('base64');
+  };
+
+  const create = function (url, length, metadata = `filename ${encode('video.bin')}`) {
+    const headers = {
+      'tus-resumable': '1.0.0',
+      'upload-length': `${length}`,
+      'upload-metadata': metadata
+    };
+
+    return server.inject({ method: 'POST', url, headers });
+  };
+
+  const patch = function (location, offset, payload) {
+    const headers = {
+      'tus-resumable': '1.0.0',
+      'upload-offset': `${offset}`,
+      'content-type': 'application/offset+octet-stream'
+    };
+
+    return server.inject({ method: 'PATCH', url: location, headers, payload });
+  };
+
+  const head = function (location) {
+    return server.inject({ method: 'HEAD', url: location, headers: { 'tus-resumable': '1.0.0' } });
+  };
+
+  describe('[OPTIONS]', function () {
+    it('should report the supported version and extensions', function () {
+      return server.inject({ method: 'OPTIONS', url: '/tus/' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(204);
+          expect(res.headers).toInclude({
+            'tus-resumable': '1.0.0',
+            'tus-version': '1.0.0',
+            'tus-extension': 'creation,expiration,termination',
+            'tus-max-size': `${partSize * 2}`
+          });
+        });
+    });
+  });
+
+  describe('[creation]', function () {
+    it('should respond with 412 (Precondition Failed) without the protocol version', function () {
+      return server.inject({ method: 'POST', url: '/tus/', headers: { 'upload-length': '10' } })
+        .then((res) => {
+          expect(res.statusCode).toEqual(412);
+          expect(res.headers['tus-version']).toEqual('1.0.0');
+        });
+    });
+
+    it('should respond with 400 (Bad Request) without an upload length', function () {
+      return create('/tus/', '')
+        .then((res) => {
+          expect(res.statusCode).toEqual(400);
+        });
+    });
+
+    it('should respond with 413 (Payload Too Large) for uploads exceeding `maxSize`', function () {
+      return create('/tus/', (partSize * 2) + 1)
+        .then((res) => {
+          expect(res.statusCode).toEqual(413);
+        });
+    });
+
+    it('should respond with 415 (Unsupported Media Type) for blacklisted file types', function () {
+      return create('/tus/', 10, `filename ${encode('image.png')},filetype ${encode('image/png')}`)
+        .then((res) => {
+          expect(res.statusCode).toEqual(415);
+        });
+    });
+  });
+
+  describe('[resumable upload]', function () {
+    const length = partSize + 2000;
+    const content = Crypto.randomBytes(length);
+    let location;
+
+    before('create the upload', function () {
+      const metadata = `filename ${encode('video.bin')},filetype ${encode('application/octet-stream')}`;
+
+      return create('/tus/', length, metadata)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          location = res.headers.location;
+        });
+    });
+
+    it('should respond with the location and expiry of the upload', function () {
+      expect(location).toMatch(/^\/tus\/\d+-[0-9a-f]{32}$/);
+    });
+
+    it('should report an offset of 0', function () {
+      return head(location)
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.headers).toInclude({
+            'upload-offset': '0',
+            'upload-length': `${length}`,
+            'cache-control': 'no-store'
+          });
+          expect(res.headers['upload-expires']).toExist();
+        });
+    });
+
+    it('should store chunks smaller than a part as pending bytes', function () {
+      return patch(location, 0, content.slice(0, 1000))
+        .then((res) => {
+          const operations = requests.map(([operation]) => operation);
+
+          expect(res.statusCode).toEqual(204);
+          expect(res.headers['upload-offset']).toEqual('1000');
+          expect(operations).toExclude('uploadPart');
+        })
+        .then(() => head(location))
+        .then((res) => {
+          expect(res.headers['upload-offset']).toEqual('1000');
+        });
+    });
+
+    it('should respond with 409 (Conflict) for a wrong offset', function () {
+      return patch(location, 0, content.slice(0, 1000))
+        .then((res) => {
+          expect(res.statusCode).toEqual(409);
+          expect(res.headers['tus-resumable']).toEqual('1.0.0');
+        });
+    });
+
+    it('should respond with 415 (Unsupported Media Type) for other content types', function () {
+      const headers = { 'tus-resumable': '1.0.0', 'upload-offset': '1000', 'content-type': 'text/plain' };
+
+      return server.inject({ method: 'PATCH', url: location, headers, payload: 'text' })
+        .then((res) => {
+          expect(res.statusCode).toEqual(415);
+        });
+    });
+
+    it('should upload full parts including the pending bytes', function () {
+      return patch(location, 1000, content.slice(1000, partSize + 1000))
+        .then((res) => {
+          const parts = requests.filter(([operation]) => operation === 'uploadPart');
+
+          expect(res.statusCode).toEqual(204);
+          expect(res.headers['upload-offset']).toEqual(`${partSize + 1000}`);
+          expect(parts.length).toEqual(1);
+          expect(parts[0][1].Body.length).toEqual(partSize);
+        });
+    });
+
+    it('should respond with 413 (Payload Too Large) for bytes exceeding the length', function () {
+      return patch(location, partSize + 1000, Buffer.alloc(2000))
+        .then((res) => {
+          expect(res.statusCode).toEqual(413);
+        })
+        .then(() => head(location))
+        .then((res) => {
+          expect(res.headers['upload-offset']).toEqual(`${partSize + 1000}`);
+        });
+    });
+
+    it('should complete the upload with the last bytes', function () {
+      return patch(location, partSize + 1000, content.slice(partSize + 1000))
+        .then((res) => {
+          const operations = requests.map(([operation]) => operation);
+
+          expect(res.statusCode).toEqual(204);
+          expect(res.headers['upload-offset']).toEqual(`${length}`);
+          expect(operations).toInclude('completeMultipartUpload');
+        })
+        .then(() => server.inject({ method: 'GET', url: '/files/tus/video.bin' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.headers['content-type']).toInclude('application/octet-stream');
+          expect(res.rawPayload.equals(content)).toBe(true);
+        });
+    });
+
+    it('should report the length as offset of completed uploads', function () {
+      return head(location)
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.headers['upload-offset']).toEqual(`${length}`);
+          expect(res.headers['upload-expires']).toNotExist();
+        });
+    });
+
+    it('should respond with 409 (Conflict) if the file already exists', function () {
+      return create('/tus/', 10, `filename ${encode('video.bin')},filetype ${encode('text/plain')}`)
+        .then((res) => {
+          expect(res.statusCode).toEqual(409);
+        });
+    });
+
+    it('should respond with 405 (Method Not Allowed) for `GET` requests', function () {
+      return server.inject({ method: 'GET', url: location })
+        .then((res) => {
+          expect(res.statusCode).toEqual(405);
+        });
+    });
+  });
+
+  describe('[termination]', function () {
+    let location;
+
+    before('create the upload', function () {
+      return create('/tus/', 100, `filename ${encode('terminated.txt')},filetype ${encode('text/plain')}`)
+        .then((res) => {
+          location = res.headers.location;
+
+          return patch(location, 0, Buffer.alloc(10));
+        });
+    });
+
+    it('should abort the multipart upload and remove the upload', function () {
+      return server.inject({ method: 'DELETE', url: location, headers: { 'tus-resumable': '1.0.0' } })
+        .then((res) => {
+          const operations = requests.map(([operation]) => operation);
+
+          expect(res.statusCode).toEqual(204);
+          expect(operations).toInclude('abortMultipartUpload');
+        })
+        .then(() => head(location))
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+
+    it('should respond with 404 (Not Found) for unknown uploads', function () {
+      return server.inject({ method: 'DELETE', url: '/tus/unknown', headers: { 'tus-resumable': '1.0.0' } })
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+  });
+
+  describe('[concurrent patches]', function () {
+    afterEach('release the multipart requests', function () {
+      multipartHold = null;
+    });
+
+    it('should respond with 423 (Locked) while another request patches the upload', function () {
+      let releaseHold;
+      let location;
+      let first;
+
+      // resolves once the first request holds the lock of the upload and loads its parts
+      const waitForLock = function () {
+        const isLocked = requests.some(([operation]) => operation === 'listParts');
+
+        return isLocked ? null : new Promise((resolve) => setTimeout(resolve, 10)).then(waitForLock);
+      };
+
+      return create('/tus/', 20, `filename ${encode('concurrent.txt')},filetype ${encode('text/plain')}`)
+        .then((res) => {
+          location = res.headers.location;
+          requests = [];
+
+          // the first request stalls after acquiring the lock
+          multipartHold = new Promise((resolve) => {
+            releaseHold = resolve;
+          });
+          first = patch(location, 0, Buffer.alloc(10));
+        })
+        .then(waitForLock)
+        .then(() => patch(location, 0, Buffer.alloc(10)))
+        .then((res) => {
+          expect(res.statusCode).toEqual(423);
+          expect(res.headers['tus-resumable']).toEqual('1.0.0');
+
+          releaseHold();
+          return first;
+        })
+        .then((res) => {
+          expect(res.statusCode).toEqual(204);
+          expect(res.headers['upload-offset']).toEqual('10');
+        })
+        .then(() => patch(location, 10, Buffer.alloc(10)))
+        .then((res) => {
+          expect(res.statusCode).toEqual(204);
+          expect(res.headers['upload-offset']).toEqual('20');
+        });
+    });
+  });
+
+  describe('[atomicCreate=lock]', function () {
+    const s3 = new AWS.S3({ s3ForcePathStyle: true, endpoint: new AWS.Endpoint('http://localhost:4569') });
+
+    it('should check the key under the lock before completing the upload', function () {
+      return create('/locked/', 10, `filename ${encode('locked.txt')}`)
+        .then((res) => {
+          // only the requests of the completion
+          requests = [];
+
+          return patch(res.headers.location, 0, Buffer.alloc(10));
+        })
+        .then((res) => {
+          const operations = requests.map(([operation]) => operation);
+          const markers = requests
+            .filter(([operation, params]) => operation === 'putObject' && params.Key.startsWith('.locks/'))
+            .map(([, params]) => params.Key);
+
+          expect(res.statusCode).toEqual(204);
+          expect(markers.length).toEqual(1);
+          expect(operations.indexOf('headObject')).toBeLessThan(operations.indexOf('completeMultipartUpload'));
+          expect(markers[0]).toMatch(/^\.locks\/tus\/locked\.txt\//);
+        });
+    });
+
+    it('should respond with 409 (Conflict) if the file was created meanwhile', function () {
+      let location;
+
+      return create('/locked/', 10, `filename ${encode('raced.txt')}`)
+        .then((res) => {
+          location = res.headers.location;
+
+          return s3.putObject({ Bucket: 'test', Key: 'tus/raced.txt', Body: 'other' }).promise();
+        })
+        .then(() => patch(location, 0, Buffer.alloc(10)))
+        .then((res) => {
+          const operations = requests.map(([operation]) => operation);
+
+          expect(res.statusCode).toEqual(409);
+          expect(operations).toExclude('completeMultipartUpload');
+          expect(operations).toInclude('abortMultipartUpload');
+        })
+        .then(() => server.inject({ method: 'GET', url: '/files/tus/raced.txt' }))
+        .then((res) => {
+          expect(res.payload).toEqual('other');
+        })
+        .then(() => head(location))
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+  });
+
+  describe('[expiration]', function () {
+    let location;
+
+    before('create an upload, which expires immediately', function () {
+      return create('/expiring/', 100, `filename ${encode('expired.bin')}`)
+        .then((res) => {
+          location = res.headers.location;
+        })
+        .then(() => new Promise((resolve) => setTimeout(resolve, 5)));
+    });
+
+    it('should abort expired uploads on the next creation', function () {
+      const id = location.split('/').pop();
+
+      // the cleanup does not delay the response
+      const waitForCleanup = function () {
+        const isDone = requests
+          .some(([operation, params]) => operation === 'deleteObject' && params.Key === `.tus/${id}.info`);
+
+        return isDone ? null : new Promise((resolve) => setTimeout(resolve, 10)).then(waitForCleanup);
+      };
+
+      return create('/expiring/', 100, `filename ${encode('next.bin')}`)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+
+          return waitForCleanup();
+        })
+        .then(() => {
+          const aborted = requests.filter(([operation]) => operation === 'abortMultipartUpload');
+          const deleted = requests
+            .filter(([operation]) => operation === 'deleteObject')
+            .map(([, params]) => params.Key);
+
+          expect(aborted.length).toEqual(1);
+          expect(aborted[0][1].Key).toEqual('tus/expired.bin');
+          expect(deleted).toInclude(`.tus/${id}.info`);
+        });
+    });
+
+    it('should respond with 410 (Gone) for expired uploads', function () {
+      return head(location)
+        .then((res) => {
+          expect(res.statusCode).toEqual(410);
+        });
+    });
+  });
+});
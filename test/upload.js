@@ -1,5 +1,7 @@
 /* eslint prefer-arrow-callback: 0 */
 
+const Crypto = require('crypto');
+const Net = require('net');
 const Path = require('path');
 
 const AWS = require('aws-sdk');
@@ -10,6 +12,8 @@ const S3rver = require('s3rver');
 
 const Helpers = require('./helpers');
 const HapiServeS3 = require('../src');
+const Lock = require('../src/lock');
+const SrcHelpers = require('../src/helpers');
 const Schemas = require('../src/schemas');
 
 const expect = require('expect');
@@ -50,6 +54,11 @@ describe('[integration/upload] "POST" spec', function () {
     return server.stop();
   });
 
+  // upload a single `report.pdf` with the given content
+  const uploadReport = function (url, content) {
+    return Helpers.uploadForm(server, url, [{ name: 'file', buf: Buffer.from(content), filename: 'report.pdf' }]);
+  };
+
   describe('[mode=auto][no key][allowedContentTypes with `undefined`]', function () {
     before('define route', function () {
       return server.route({
@@ -530,6 +539,399 @@ describe('[integration/upload] "POST" spec', function () {
     });
   });
 
+  describe('[onConflict]', function () {
+    before('define routes', function () {
+      return server.route([{
+        method: ['GET', 'POST'],
+        path: '/conflicts/{path?}',
+        handler: {
+          s3: {
+            s3Params: Helpers.s3Params,
+            bucket: 'test',
+            key: 'conflicts',
+            onConflict: 'rename'
+          }
+        }
+      }, {
+        method: 'POST',
+        path: '/conflicts2/{path?}',
+        handler: {
+          s3: {
+            s3Params: Helpers.s3Params,
+            bucket: 'test',
+            key: 'conflicts',
+            onConflict: (request, { key, metaData }) => {
+              expect(key).toEqual('conflicts/report.pdf');
+              expect(metaData.ContentLength).toBeA('number');
+
+              return request.query.mode;
+            }
+          }
+        }
+      }]);
+    });
+
+    before('upload the original file', function () {
+      return uploadReport('/conflicts/', 'original')
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(JSON.parse(res.payload).file).toExcludeKey('Conflict');
+        });
+    });
+
+    after('cleanup files', function () {
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/conflicts'));
+    });
+
+    describe('[onConflict=rename]', function () {
+      let responses;
+
+      before('upload the file twice again', function () {
+        return uploadReport('/conflicts/', 'copy 1')
+          .then((first) => uploadReport('/conflicts/', 'copy 2')
+            .then((second) => {
+              responses = [first, second];
+            }));
+      });
+
+      it('should upload to the first free key', function () {
+        const [first, second] = responses.map((res) => JSON.parse(res.payload).file);
+
+        expect(first).toInclude({ Key: 'conflicts/report (1).pdf', Conflict: 'rename' });
+        expect(second).toInclude({ Key: 'conflicts/report (2).pdf', Conflict: 'rename' });
+      });
+
+      it('should keep the existing file', function () {
+        return server.inject({ method: 'GET', url: '/conflicts/report.pdf' })
+          .then((res) => {
+            expect(res.payload).toEqual('original');
+          });
+      });
+    });
+
+    describe('[onConflict as function]', function () {
+      it('should replace the file, if resolved with `replace`', function () {
+        return uploadReport('/conflicts2/?mode=replace', 'replaced')
+          .then((res) => {
+            expect(res.statusCode).toEqual(201);
+            expect(JSON.parse(res.payload).file).toInclude({ Key: 'conflicts/report.pdf', Conflict: 'replace' });
+
+            return server.inject({ method: 'GET', url: '/conflicts/report.pdf' });
+          })
+          .then((res) => {
+            expect(res.payload).toEqual('replaced');
+          });
+      });
+
+      it('should respond with 409 (Conflict), if resolved with `error`', function () {
+        return uploadReport('/conflicts2/?mode=error', 'rejected')
+          .then((res) => {
+            expect(res.statusCode).toEqual(409);
+          });
+      });
+    });
+  });
+
+  describe('[atomicCreate]', function () {
+    before('define routes', function () {
+      return server.route([{
+        method: ['GET', 'POST'],
+        path: '/locked/{path?}',
+        handler: {
+          s3: {
+            s3Params: Helpers.s3Params,
+            bucket: 'test',
+            key: 'locked',
+            atomicCreate: 'lock'
+          }
+        }
+      }, {
+        method: 'POST',
+        path: '/conditional/{path?}',
+        handler: {
+          s3: {
+            s3Params: Helpers.s3Params,
+            bucket: 'test',
+            key: 'conditional',
+            atomicCreate: 'conditional'
+          }
+        }
+      }]);
+    });
+
+    after('cleanup files', function () {
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/locked'));
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/conditional'));
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/.locks'));
+    });
+
+    describe('[atomicCreate=lock] concurrent uploads to the same key', function () {
+      const contents = ['upload 1', 'upload 2', 'upload 3', 'upload 4'];
+      const acquire = Lock.acquire;
+      let acquireSpy;
+      let responses;
+
+      // acquire the locks one after another: the upload holding the lock always blocks the others
+      // (no livelock of retrying uploads) and s3rver does not put and delete markers concurrently,
+      // which it does not always survive
+      before('order the lock requests', function () {
+        let acquiring = Promise.resolve();
+
+        acquireSpy = expect.spyOn(Lock, 'acquire').andCall((request, bucket, key) => {
+          const acquired = acquiring.then(() => acquire(request, bucket, key));
+          acquiring = acquired.catch(() => null);
+
+          return acquired;
+        });
+      });
+
+      after('restore the locks', function () {
+        acquireSpy.restore();
+      });
+
+      before('upload the files concurrently', function () {
+        return Promise.all(contents.map((content) => uploadReport('/locked/', content)))
+          .then((res) => {
+            responses = res;
+          });
+      });
+
+      it('should create the file only once', function () {
+        const statusCodes = responses.map((res) => res.statusCode).sort();
+
+        expect(statusCodes).toEqual([201, 409, 409, 409]);
+      });
+
+      it('should keep the content of the successful upload', function () {
+        const index = responses.findIndex((res) => res.statusCode === 201);
+
+        return server.inject({ method: 'GET', url: '/locked/report.pdf' })
+          .then((res) => {
+            expect(res.payload).toEqual(contents[index]);
+          });
+      });
+
+      it('should release all locks', function () {
+        const s3 = new AWS.S3(Helpers.s3Params);
+
+        return s3.listObjectsV2({ Bucket: 'test', Prefix: '.locks/' }).promise()
+          .then((data) => {
+            expect(data.Contents).toEqual([]);
+          });
+      });
+    });
+
+    describe('[atomicCreate=lock] with a rejected file', function () {
+      const acquire = Lock.acquire;
+      let acquireSpy;
+
+      // the lock of the other file is acquired after the rejected file failed
+      before('delay acquiring the lock of the other file', function () {
+        acquireSpy = expect.spyOn(Lock, 'acquire').andCall((request, bucket, key) => {
+          const delay = key === 'locked/other.pdf' ? 100 : 0;
+
+          return new Promise((resolve) => setTimeout(resolve, delay))
+            .then(() => acquire(request, bucket, key));
+        });
+      });
+
+      after('restore the locks', function () {
+        acquireSpy.restore();
+      });
+
+      it('should release the locks of all files', function () {
+        const files = [
+          { name: 'invalid', buf: Buffer.from('invalid'), filename: 'invalid.pdf', header: { 'Content-MD5': 'x' } },
+          { name: 'other', buf: Buffer.from('other'), filename: 'other.pdf' }
+        ];
+
+        return Helpers.uploadForm(server, '/locked/', files)
+          .then((res) => {
+            expect(res.statusCode).toEqual(400);
+          })
+          // after the delayed lock was acquired
+          .then(() => new Promise((resolve) => setTimeout(resolve, 200)))
+          .then(() => new AWS.S3(Helpers.s3Params).listObjectsV2({ Bucket: 'test', Prefix: '.locks/' }).promise())
+          .then((data) => {
+            expect(data.Contents).toEqual([]);
+          });
+      });
+    });
+
+    describe('[atomicCreate=conditional]', function () {
+      const makeRequest = AWS.S3.prototype.makeRequest;
+      let requests;
+      let makeRequestSpy;
+
+      // s3rver does not support conditional writes, fake S3 rejecting the second upload with 412
+      beforeEach('record s3 requests and fake conditional writes', function () {
+        let created = false;
+        requests = [];
+
+        makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+          // managed uploads bind the params to the client
+          const allParams = Object.assign({}, this.config.params, params);
+          requests.push([operation, allParams]);
+
+          // both uploads pass the `headObject` check
+          if (operation === 'headObject') {
+            const err = Object.assign(new Error(null), { code: 'NotFound', statusCode: 404 });
+            return process.nextTick(() => callback(err));
+          }
+
+          if (operation !== 'putObject' || !created) {
+            created = created || operation === 'putObject';
+            return makeRequest.call(this, operation, params, callback);
+          }
+
+          // managed uploads send the request themselves, fail it before it is sent
+          const req = makeRequest.call(this, operation, params);
+          req.on('validate', () => {
+            throw Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), {
+              code: 'PreconditionFailed',
+              statusCode: 412
+            });
+          });
+
+          return callback ? req.send(callback) : req;
+        });
+      });
+
+      afterEach('restore s3 requests', function () {
+        makeRequestSpy.restore();
+      });
+
+      it('should upload with `If-None-Match: *`', function () {
+        return uploadReport('/conditional/', 'first')
+          .then((res) => {
+            const [, putParams] = requests.find(([operation]) => operation === 'putObject');
+
+            expect(res.statusCode).toEqual(201);
+            expect(putParams.IfNoneMatch).toEqual('*');
+          });
+      });
+
+      it('should respond with 409 (Conflict) if the key was created meanwhile', function () {
+        return Promise.all([uploadReport('/conditional/', 'first'), uploadReport('/conditional/', 'second')])
+          .then((res) => {
+            const statusCodes = res.map((response) => response.statusCode).sort();
+
+            expect(statusCodes).toEqual([201, 409]);
+          });
+      });
+
+      it('should reject the route if the aws-sdk does not support conditional writes', function () {
+        const supportsSpy = expect.spyOn(SrcHelpers, 'supportsConditionalWrites').andReturn(false);
+        const route = {
+          method: 'POST',
+          path: '/outdated/{path?}',
+          handler: { s3: { s3Params: Helpers.s3Params, bucket: 'test', atomicCreate: 'conditional' } }
+        };
+
+        try {
+          expect(() => server.route(route)).toThrow(/aws-sdk 2\.1679\.0/);
+        } finally {
+          supportsSpy.restore();
+        }
+      });
+    });
+  });
+
+  describe('[sseCustomerKey]', function () {
+    const customerKey = Buffer.alloc(32, 'k');
+    const customerKeyMD5 = Crypto.createHash('md5').update(customerKey).digest('base64');
+    const makeRequest = AWS.S3.prototype.makeRequest;
+    const requests = [];
+    let makeRequestSpy;
+
+    before('define route', function () {
+      return server.route({
+        method: 'POST',
+        path: '/encrypted/{path?}',
+        handler: {
+          s3: {
+            s3Params: { // these options are just for testing purpose
+              s3ForcePathStyle: true,
+              endpoint: new AWS.Endpoint('http://localhost:4569')
+            },
+            bucket: 'test',
+            key: 'encrypted',
+            sseCustomerKey: () => customerKey.toString('base64')
+          }
+        }
+      });
+    });
+
+    // s3rver does not support SSE-C (and the aws-sdk refuses to send keys over HTTP)
+    before('record and strip the encryption params', function () {
+      const sseKeys = ['SSECustomerAlgorithm', 'SSECustomerKey', 'SSECustomerKeyMD5'];
+
+      makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+        // managed uploads bind the params to the client
+        requests.push([operation, Object.assign({}, this.config.params, params)]);
+
+        this.config.params = SrcHelpers.omit(this.config.params || {}, sseKeys);
+        return makeRequest.call(this, operation, SrcHelpers.omit(params, sseKeys), callback);
+      });
+    });
+
+    after('restore s3 requests', function () {
+      makeRequestSpy.restore();
+    });
+
+    describe('valid request', function () {
+      const content = Buffer.from('123\nTest PDF\nxxx');
+      const files = [
+        { name: 'file.pdf', buf: content, filename: 'test-NF.pdf' }
+      ];
+
+      let response;
+      let formData;
+
+      before('get form data', function () {
+        return Helpers.getFormData(files)
+          .then((data) => {
+            formData = data;
+          });
+      });
+
+      before('upload file via form data', function () {
+        const { payload, form } = formData;
+
+        const params = {
+          method: 'POST',
+          url: '/encrypted/',
+          headers: form.getHeaders(),
+          payload
+        };
+
+        return server.inject(params)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      after('cleanup files', function () {
+        RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/encrypted'));
+      });
+
+      it('should respond with HTTP 201 (Created)', function () {
+        expect(response.statusCode).toEqual(201);
+      });
+
+      it('should upload and check the file with the customer provided key', function () {
+        const operations = requests.map(([operation]) => operation);
+        expect(operations).toEqual(['headObject', 'putObject']);
+
+        requests.forEach(([operation, params]) => { // eslint-disable-line no-unused-vars
+          expect(params.SSECustomerAlgorithm).toEqual('AES256');
+          expect(params.SSECustomerKey).toEqual(customerKey);
+          expect(params.SSECustomerKeyMD5).toEqual(customerKeyMD5);
+        });
+      });
+    });
+  });
+
   describe('multi-level paths with `key`', function () {
     before('define route', function () {
       return server.route({
@@ -701,4 +1103,795 @@ describe('[integration/upload] "POST" spec', function () {
       });
     });
   });
+
+  describe('[maxFileSize][maxFiles][maxTotalSize]', function () {
+    before('define the test routes', function () {
+      return server.route([
+        {
+          method: 'POST',
+          path: '/limited/{path*}',
+          handler: {
+            s3: {
+              s3Params: Helpers.s3Params,
+              bucket: 'test',
+              key: 'limited',
+              onConflict: 'replace',
+              ignoredFormKeys: ['options'],
+              maxFiles: 2,
+              maxTotalSize: 24,
+              maxFileSize(request, { contentType }) {
+                return contentType === 'image/png' ? 8 : undefined;
+              }
+            }
+          }
+        },
+        {
+          method: 'POST',
+          path: '/limited-file/{path*}',
+          handler: {
+            s3: {
+              s3Params: Helpers.s3Params,
+              bucket: 'test',
+              key: 'limited',
+              maxFileSize: 16
+            }
+          }
+        }
+      ]);
+    });
+
+    after('cleanup files', function () {
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/limited'));
+    });
+
+    it('should respond with 413 (Payload Too Large) naming the file exceeding `maxTotalSize`', function () {
+      const files = [
+        { name: 'first', buf: Buffer.from('sixteen bytes...'), filename: 'first.txt' },
+        { name: 'second', buf: Buffer.from('sixteen bytes...'), filename: 'second.txt' }
+      ];
+
+      // the first file is uploaded before the limit is exceeded
+      return Helpers.uploadForm(server, '/limited/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(413);
+          expect(JSON.parse(res.payload).message)
+            .toEqual('the file "second" exceeds the maximum total size of 24 bytes');
+        });
+    });
+
+    it('should upload files within the limits', function () {
+      const files = [
+        { name: 'file', buf: Buffer.from('small text'), filename: 'small.txt' },
+        { name: 'options', buf: Buffer.from('{}') }
+      ];
+
+      return Helpers.uploadForm(server, '/limited/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(JSON.parse(res.payload).file.Key).toEqual('limited/small.txt');
+        });
+    });
+
+    it('should respond with 413 (Payload Too Large) naming the file exceeding `maxFileSize`', function () {
+      const files = [{ name: 'image', buf: Buffer.from('not a tiny image'), filename: 'image.png' }];
+
+      return Helpers.uploadForm(server, '/limited/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(413);
+          expect(JSON.parse(res.payload).message).toEqual('the file "image" exceeds the maximum size of 8 bytes');
+        });
+    });
+
+    it('should use a number as `maxFileSize` for all files', function () {
+      const files = [{ name: 'report', buf: Buffer.from('a text longer than the limit'), filename: 'report.txt' }];
+
+      return Helpers.uploadForm(server, '/limited-file/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(413);
+          expect(JSON.parse(res.payload).message).toEqual('the file "report" exceeds the maximum size of 16 bytes');
+        });
+    });
+
+    it('should respond with 413 (Payload Too Large) naming the first file exceeding `maxFiles`', function () {
+      const files = [
+        { name: 'a', buf: Buffer.from('a'), filename: 'a.txt' },
+        { name: 'options', buf: Buffer.from('{}') },
+        { name: 'b', buf: Buffer.from('b'), filename: 'b.txt' },
+        { name: 'c', buf: Buffer.from('c'), filename: 'c.txt' }
+      ];
+
+      return Helpers.uploadForm(server, '/limited/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(413);
+          expect(JSON.parse(res.payload).message).toEqual('the file "c" exceeds the maximum number of 2 files');
+        });
+    });
+  });
+
+  describe('[sniffContentType]', function () {
+    const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+    const html = Buffer.from('<html><body><script>alert(1)</script></body></html>');
+
+    before('define the test routes', function () {
+      return server.route([
+        {
+          method: ['GET', 'POST'],
+          path: '/sniffed/{path*}',
+          handler: {
+            s3: {
+              s3Params: Helpers.s3Params,
+              bucket: 'test',
+              key: 'sniffed',
+              onConflict: 'replace',
+              allowedContentTypes: ['image/png', 'text/plain'],
+              sniffContentType: true
+            }
+          }
+        },
+        {
+          method: 'POST',
+          path: '/sniffed-detected/{path*}',
+          handler: {
+            s3: {
+              s3Params: Helpers.s3Params,
+              bucket: 'test',
+              key: 'sniffed',
+              onConflict: 'replace',
+              allowedContentTypes: ['image/png', 'application/octet-stream'],
+              sniffContentType: 'detected'
+            }
+          }
+        }
+      ]);
+    });
+
+    after('cleanup files', function () {
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/sniffed'));
+    });
+
+    it('should upload files matching their content type', function () {
+      const files = [
+        { name: 'image', buf: png, filename: 'image.png' },
+        { name: 'notes', buf: Buffer.from('plain text'), filename: 'notes.txt' }
+      ];
+
+      return Helpers.uploadForm(server, '/sniffed/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(JSON.parse(res.payload).image.ContentType).toEqual('image/png');
+        })
+        .then(() => server.inject({ method: 'GET', url: '/sniffed/image.png' }))
+        .then((res) => {
+          expect(res.rawPayload.equals(png)).toBe(true);
+        });
+    });
+
+    it('should respond with 415 (Unsupported Media Type) naming the file not matching its content type', function () {
+      const files = [{ name: 'avatar', buf: html, filename: 'avatar.png' }];
+
+      return Helpers.uploadForm(server, '/sniffed/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(415);
+          expect(JSON.parse(res.payload).message)
+            .toEqual('for upload "avatar" "content-type" [image/png] does not match the content: [text/html]');
+        });
+    });
+
+    it('should upload with the detected content type for `sniffContentType=detected`', function () {
+      const files = [{ name: 'image', buf: png, filename: 'image.bin' }];
+
+      return Helpers.uploadForm(server, '/sniffed-detected/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(JSON.parse(res.payload).image).toInclude({ Key: 'sniffed/image.bin', ContentType: 'image/png' });
+        });
+    });
+
+    it('should check the detected content type against `allowedContentTypes`', function () {
+      const files = [{ name: 'page', buf: html, filename: 'page.bin' }];
+
+      return Helpers.uploadForm(server, '/sniffed-detected/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(415);
+          expect(JSON.parse(res.payload).message)
+            .toEqual('for upload "page" "content-type" is not allowed to be: [text/html]');
+        });
+    });
+  });
+
+  describe('[checksums]', function () {
+    const content = Buffer.from('regulated document\n');
+    const md5 = Crypto.createHash('md5').update(content).digest('base64');
+    const sha256 = Crypto.createHash('sha256').update(content).digest('base64');
+
+    before('define a test route', function () {
+      return server.route({
+        method: ['GET', 'POST'],
+        path: '/checksums/{path*}',
+        handler: {
+          s3: {
+            s3Params: Helpers.s3Params,
+            bucket: 'test',
+            key: 'checksums',
+            onConflict: 'replace'
+          }
+        }
+      });
+    });
+
+    after('cleanup files', function () {
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/checksums'));
+    });
+
+    it('should respond with the digests of the uploaded files', function () {
+      const files = [{ name: 'document', buf: content, filename: 'document.txt' }];
+
+      return Helpers.uploadForm(server, '/checksums/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(JSON.parse(res.payload).document).toInclude({ ContentMD5: md5, ContentSHA256: sha256 });
+        });
+    });
+
+    it('should expose the stored digests as `Digest` and `Repr-Digest` headers', function () {
+      return Promise
+        .all([
+          server.inject({ method: 'GET', url: '/checksums/document.txt' }),
+          server.inject({ method: 'HEAD', url: '/checksums/document.txt' })
+        ])
+        .then((responses) => {
+          responses.forEach((res) => {
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers.digest).toEqual(`sha-256=${sha256}, md5=${md5}`);
+            expect(res.headers['repr-digest']).toEqual(`sha-256=:${sha256}:, md5=:${md5}:`);
+          });
+        });
+    });
+
+    it('should upload files matching the digest headers of the form data entries', function () {
+      const header = { 'Content-MD5': md5, 'Repr-Digest': `sha-256=:${sha256}:` };
+      const files = [{ name: 'document', buf: content, filename: 'checked.txt', header }];
+
+      return Helpers.uploadForm(server, '/checksums/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+        });
+    });
+
+    it('should respond with 400 (Bad Request) naming the file not matching its digest headers', function () {
+      const header = { Digest: `SHA-256=${Crypto.createHash('sha256').update('other').digest('base64')}` };
+      const files = [{ name: 'document', buf: content, filename: 'mismatch.txt', header }];
+
+      return Helpers.uploadForm(server, '/checksums/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(400);
+          expect(JSON.parse(res.payload).message).toEqual('the file "document" does not match the digest header');
+        })
+        .then(() => server.inject({ method: 'GET', url: '/checksums/mismatch.txt' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+
+    it('should respond with 400 (Bad Request) for invalid digest headers', function () {
+      const header = { 'Repr-Digest': 'sha-256=abc' };
+      const files = [{ name: 'document', buf: content, filename: 'invalid.txt', header }];
+
+      return Helpers.uploadForm(server, '/checksums/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(400);
+          expect(JSON.parse(res.payload).message).toEqual('invalid repr-digest header');
+        });
+    });
+  });
+
+  describe('[scan]', function () {
+    const eicar = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+    const scanned = [];
+    let clamd;
+
+    // a clamd answering the `zINSTREAM` command, finds the EICAR test string
+    before('start a fake clamd', function (done) {
+      clamd = Net.createServer((socket) => {
+        let received = Buffer.alloc(0);
+
+        socket.on('data', (chunk) => {
+          received = Buffer.concat([received, chunk]);
+
+          // `zINSTREAM\0` followed by `<length><data>` chunks and a zero length chunk
+          let offset = 'zINSTREAM\0'.length;
+          const chunks = [];
+
+          while (received.length >= offset + 4) {
+            const length = received.readUInt32BE(offset);
+
+            if (!length) {
+              const content = Buffer.concat(chunks).toString();
+              socket.end(content.includes(eicar) ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+              return;
+            }
+
+            if (received.length < offset + 4 + length) {
+              return;
+            }
+
+            chunks.push(received.slice(offset + 4, offset + 4 + length));
+            offset += 4 + length;
+          }
+        });
+      });
+
+      clamd.listen(0, 'localhost', done);
+    });
+
+    after('stop the fake clamd', function (done) {
+      clamd.close(done);
+    });
+
+    before('define test routes', function () {
+      const s3 = {
+        s3Params: Helpers.s3Params,
+        bucket: 'test',
+        onConflict: 'replace'
+      };
+
+      return server.route([
+        {
+          method: ['GET', 'POST'],
+          path: '/scanned/{path*}',
+          handler: {
+            s3: Object.assign({}, s3, {
+              key: 'scanned',
+              scan: { port: clamd.address().port }
+            })
+          }
+        },
+        {
+          method: ['GET', 'POST'],
+          path: '/scanned-hook/{path*}',
+          handler: {
+            s3: Object.assign({}, s3, {
+              key: 'scanned-hook',
+              quarantinePrefix: 'scanned-quarantine/',
+              scan(stream, options) {
+                const chunks = [];
+
+                return new Promise((resolve) => {
+                  stream.on('data', (chunk) => chunks.push(chunk));
+                  stream.on('end', () => {
+                    scanned.push(Object.assign({ content: Buffer.concat(chunks).toString() }, options));
+                    resolve(null);
+                  });
+                });
+              }
+            })
+          }
+        }
+      ]);
+    });
+
+    after('cleanup files', function () {
+      ['scanned', 'scanned-hook', '.quarantine', 'scanned-quarantine'].forEach((dir) => {
+        RimRaf.sync(Path.resolve(__dirname, `./fixtures/buckets/test/${dir}`));
+      });
+    });
+
+    const listKeys = function (prefix) {
+      const s3 = new AWS.S3(Helpers.s3Params);
+
+      return s3.listObjects({ Bucket: 'test', Prefix: prefix }).promise()
+        .then(({ Contents }) => Contents.map(({ Key }) => Key));
+    };
+
+    it('should publish clean files scanned by clamd', function () {
+      const files = [{ name: 'file', buf: Buffer.from('clean content'), filename: 'clean.txt' }];
+
+      return Helpers.uploadForm(server, '/scanned/', files)
+        .then((res) => {
+          const payload = JSON.parse(res.payload);
+
+          expect(res.statusCode).toEqual(201);
+          expect(payload.file).toInclude({ Key: 'scanned/clean.txt', key: 'scanned/clean.txt' });
+          expect(payload.file.Location).toEqual('http://localhost:4569/test/scanned/clean.txt');
+        })
+        .then(() => Promise.all([
+          server.inject({ method: 'GET', url: '/scanned/clean.txt' }),
+          listKeys('.quarantine/')
+        ]))
+        .then(([res, quarantined]) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.payload).toEqual('clean content');
+          expect(quarantined).toEqual([]);
+        });
+    });
+
+    it('should respond with 422 (Unprocessable Entity) naming the malware found by clamd', function () {
+      const files = [{ name: 'file', buf: Buffer.from(eicar), filename: 'infected.txt' }];
+
+      return Helpers.uploadForm(server, '/scanned/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(422);
+          expect(JSON.parse(res.payload).message).toEqual('the file "file" is infected: Eicar-Test-Signature');
+        })
+        .then(() => Promise.all([
+          server.inject({ method: 'GET', url: '/scanned/infected.txt' }),
+          listKeys('.quarantine/')
+        ]))
+        .then(([res, quarantined]) => {
+          expect(res.statusCode).toEqual(404);
+          expect(quarantined).toEqual([]);
+        });
+    });
+
+    it('should respond with 503 (Service Unavailable) if clamd is not reachable', function () {
+      const { port } = clamd.address();
+      const files = [{ name: 'file', buf: Buffer.from('clean content'), filename: 'unscanned.txt' }];
+
+      return new Promise((resolve) => clamd.close(resolve))
+        .then(() => Helpers.uploadForm(server, '/scanned/', files))
+        .then((res) => {
+          expect(res.statusCode).toEqual(503);
+          expect(JSON.parse(res.payload).message).toMatch(/^the malware scan failed: /);
+        })
+        .then(() => new Promise((resolve) => clamd.listen(port, 'localhost', resolve)))
+        .then(() => server.inject({ method: 'GET', url: '/scanned/unscanned.txt' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+
+    it('should pass the quarantined files to the `scan` function', function () {
+      const files = [{ name: 'file', buf: Buffer.from('hooked content'), filename: 'hooked.txt' }];
+
+      return Helpers.uploadForm(server, '/scanned-hook/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(scanned).toEqual([{
+            content: 'hooked content',
+            bucket: 'test',
+            key: 'scanned-hook/hooked.txt',
+            contentType: 'text/plain'
+          }]);
+        })
+        .then(() => listKeys('scanned-quarantine/'))
+        .then((quarantined) => {
+          expect(quarantined).toEqual([]);
+        });
+    });
+  });
+
+  describe('[atomic]', function () {
+    before('define a test route', function () {
+      return server.route({
+        method: ['GET', 'POST'],
+        path: '/atomic/{path*}',
+        handler: {
+          s3: {
+            s3Params: Helpers.s3Params,
+            bucket: 'test',
+            key: 'atomic',
+            onConflict: 'replace',
+            atomic: true,
+            maxFileSize: 1024,
+            quarantinePrefix: 'atomic-quarantine/',
+            // infected files are reported after the other files are uploaded
+            scan(stream) {
+              const chunks = [];
+
+              return new Promise((resolve) => {
+                stream.on('data', (chunk) => chunks.push(chunk));
+                stream.on('end', () => {
+                  const isInfected = Buffer.concat(chunks).toString() === 'infected';
+                  setTimeout(() => resolve(isInfected ? 'Test-Signature' : null), isInfected ? 100 : 0);
+                });
+              });
+            }
+          }
+        }
+      });
+    });
+
+    after('cleanup files', function () {
+      ['atomic', 'atomic-quarantine'].forEach((dir) => {
+        RimRaf.sync(Path.resolve(__dirname, `./fixtures/buckets/test/${dir}`));
+      });
+    });
+
+    it('should upload all files if none fails', function () {
+      const files = [
+        { name: 'first', buf: Buffer.from('first'), filename: 'first.txt' },
+        { name: 'second', buf: Buffer.from('second'), filename: 'second.txt' }
+      ];
+
+      return Helpers.uploadForm(server, '/atomic/', files)
+        .then((res) => {
+          expect(res.statusCode).toEqual(201);
+          expect(Object.keys(JSON.parse(res.payload))).toEqual(['first', 'second']);
+        });
+    });
+
+    it('should delete the uploaded files and report them, if a file fails', function () {
+      const files = [
+        { name: 'clean', buf: Buffer.from('clean'), filename: 'clean.txt' },
+        { name: 'infected', buf: Buffer.from('infected'), filename: 'infected.txt' }
+      ];
+
+      return Helpers.uploadForm(server, '/atomic/', files)
+        .then((res) => {
+          const payload = JSON.parse(res.payload);
+
+          expect(res.statusCode).toEqual(422);
+          expect(payload.message).toEqual('the file "infected" is infected: Test-Signature');
+          expect(payload.rollback).toEqual({
+            deleted: [{ file: 'clean', key: 'atomic/clean.txt' }],
+            aborted: [],
+            replaced: [],
+            failed: []
+          });
+        })
+        .then(() => Promise.all([
+          server.inject({ method: 'GET', url: '/atomic/clean.txt' }),
+          server.inject({ method: 'GET', url: '/atomic/infected.txt' })
+        ]))
+        .then((responses) => {
+          responses.forEach((res) => expect(res.statusCode).toEqual(404));
+        });
+    });
+
+    it('should abort or delete the other files, if a file exceeds the limits', function () {
+      const files = [
+        { name: 'small', buf: Buffer.from('small'), filename: 'small.txt' },
+        { name: 'large', buf: Crypto.randomBytes(2048), filename: 'large.bin' }
+      ];
+
+      return Helpers.uploadForm(server, '/atomic/', files)
+        .then((res) => {
+          const { rollback } = JSON.parse(res.payload);
+
+          expect(res.statusCode).toEqual(413);
+          expect(rollback.deleted.concat(rollback.aborted)).toEqual([{ file: 'small', key: 'atomic/small.txt' }]);
+          expect(rollback.failed).toEqual([]);
+        })
+        .then(() => server.inject({ method: 'GET', url: '/atomic/small.txt' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(404);
+        });
+    });
+
+    it('should keep the files which replaced an existing object', function () {
+      const files = [
+        { name: 'first', buf: Buffer.from('replaced'), filename: 'first.txt' },
+        { name: 'infected', buf: Buffer.from('infected'), filename: 'infected.txt' }
+      ];
+
+      return Helpers.uploadForm(server, '/atomic/', files)
+        .then((res) => {
+          const { rollback } = JSON.parse(res.payload);
+
+          expect(res.statusCode).toEqual(422);
+          expect(rollback).toEqual({
+            deleted: [],
+            aborted: [],
+            replaced: [{ file: 'first', key: 'atomic/first.txt' }],
+            failed: []
+          });
+        })
+        .then(() => server.inject({ method: 'GET', url: '/atomic/first.txt' }))
+        .then((res) => {
+          expect(res.statusCode).toEqual(200);
+          expect(res.payload).toEqual('replaced');
+        });
+    });
+
+    describe('with a multipart upload in flight', function () {
+      // more than the 4 parts and the stream buffers of the managed upload
+      const large = Buffer.alloc((1024 * 1024 * 40), 'a');
+      const makeRequest = AWS.S3.prototype.makeRequest;
+      const requests = [];
+      let makeRequestSpy;
+      let response;
+
+      before('define a test route', function () {
+        return server.route({
+          method: 'POST',
+          path: '/atomic-multipart/{path*}',
+          config: {
+            payload: { maxBytes: 1024 * 1024 * 50 }
+          },
+          handler: {
+            s3: {
+              s3Params: Helpers.s3Params,
+              bucket: 'test',
+              key: 'atomic',
+              onConflict: 'replace',
+              atomic: true
+            }
+          }
+        });
+      });
+
+      // s3rver does not support multipart uploads, fake them with parts which never complete
+      before('fake multipart uploads', function () {
+        const results = {
+          createMultipartUpload: { UploadId: 'upload' },
+          abortMultipartUpload: {}
+        };
+
+        makeRequestSpy = expect.spyOn(AWS.S3.prototype, 'makeRequest').andCall(function (operation, params, callback) {
+          const data = results[operation];
+          requests.push([operation, Object.assign({}, this.config.params, params)]);
+
+          if (!data && operation !== 'uploadPart') {
+            return makeRequest.call(this, operation, params, callback);
+          }
+
+          const req = makeRequest.call(this, operation, params);
+          req.abort = () => req;
+          req.send = function (cb) {
+            if (!data) {
+              return;
+            }
+
+            process.nextTick(() => {
+              req.emit('success', [{ data }]);
+              return cb && cb(null, data);
+            });
+          };
+
+          return req;
+        });
+      });
+
+      after('restore s3 requests', function () {
+        makeRequestSpy.restore();
+      });
+
+      before('upload the files', function () {
+        const header = { 'Content-MD5': Crypto.createHash('md5').update('other').digest('base64') };
+        const files = [
+          { name: 'large', buf: large, filename: 'large.bin' },
+          { name: 'checked', buf: Buffer.from('checked'), filename: 'checked.txt', header }
+        ];
+
+        return Helpers.uploadForm(server, '/atomic-multipart/', files)
+          .then((res) => {
+            response = res;
+          });
+      });
+
+      it('should abort the multipart upload', function () {
+        const [, abortParams] = requests.find(([operation]) => operation === 'abortMultipartUpload');
+
+        expect(abortParams).toInclude({ Bucket: 'test', Key: 'atomic/large.bin', UploadId: 'upload' });
+      });
+
+      it('should report the aborted upload', function () {
+        const payload = JSON.parse(response.payload);
+
+        expect(response.statusCode).toEqual(400);
+        expect(payload.message).toEqual('the file "checked" does not match the content-md5 header');
+        expect(payload.rollback).toEqual({
+          deleted: [],
+          aborted: [{ file: 'large', key: 'atomic/large.bin' }],
+          replaced: [],
+          failed: []
+        });
+      });
+    });
+  });
+
+  describe('[partialSuccess]', function () {
+    let onResponseArgs;
+
+    before('define test routes', function () {
+      const s3 = {
+        s3Params: Helpers.s3Params,
+        bucket: 'test',
+        key: 'partial',
+        partialSuccess: true,
+        maxFileSize: 1024,
+        allowedContentTypes: [/^text\//]
+      };
+
+      return server.route([
+        {
+          method: ['GET', 'POST'],
+          path: '/partial/{path*}',
+          handler: { s3 }
+        },
+        {
+          method: 'POST',
+          path: '/partial-response/{path*}',
+          handler: {
+            s3: Object.assign({}, s3, {
+              onResponse(...args) {
+                const [err, res, request, reply, options] = args; // eslint-disable-line no-unused-vars
+                onResponseArgs = args;
+
+                return reply(res).code(options.defaultStatusCode);
+              }
+            })
+          }
+        }
+      ]);
+    });
+
+    before('upload an existing file', function () {
+      const files = [{ name: 'existing', buf: Buffer.from('existing'), filename: 'existing.txt' }];
+
+      return Helpers.uploadForm(server, '/partial/', files);
+    });
+
+    afterEach('remove the uploaded file', function () {
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/partial/valid.txt'));
+    });
+
+    after('cleanup files', function () {
+      RimRaf.sync(Path.resolve(__dirname, './fixtures/buckets/test/partial'));
+    });
+
+    const files = [
+      { name: 'valid', buf: Buffer.from('valid'), filename: 'valid.txt' },
+      { name: 'conflict', buf: Buffer.from('conflict'), filename: 'existing.txt' },
+      { name: 'disallowed', buf: Buffer.from('%PDF-1.4'), filename: 'disallowed.pdf' },
+      { name: 'large', buf: Buffer.alloc(2048, 'a'), filename: 'large.txt' }
+    ];
+
+    it('should respond with 207 (Multi-Status) with the uploads and the failures', function () {
+      return Helpers.uploadForm(server, '/partial/', files)
+        .then((res) => {
+          const payload = JSON.parse(res.payload);
+
+          expect(res.statusCode).toEqual(207);
+          expect(payload.valid).toInclude({ Key: 'partial/valid.txt', ContentType: 'text/plain' });
+          expect(payload.conflict).toEqual({
+            error: {
+              statusCode: 409,
+              error: 'Conflict',
+              message: 'the file s3://test/partial/existing.txt does already exist'
+            }
+          });
+          expect(payload.disallowed.error).toInclude({ statusCode: 415 });
+          expect(payload.large.error).toInclude({
+            statusCode: 413,
+            message: 'the file "large" exceeds the maximum size of 1024 bytes'
+          });
+        })
+        .then(() => Promise.all([
+          server.inject({ method: 'GET', url: '/partial/valid.txt' }),
+          server.inject({ method: 'GET', url: '/partial/existing.txt' }),
+          server.inject({ method: 'GET', url: '/partial/large.txt' })
+        ]))
+        .then(([valid, existing, large]) => {
+          expect(valid.statusCode).toEqual(200);
+          expect(existing.payload).toEqual('existing');
+          expect(large.statusCode).toEqual(404);
+        });
+    });
+
+    it('should pass the uploads and the failures to `onResponse`', function () {
+      return Helpers.uploadForm(server, '/partial-response/', files)
+        .then((res) => {
+          const [, , , , options] = onResponseArgs;
+          const { error } = Joi.validate(onResponseArgs, Schemas.onResponseParamsSchema.post);
+
+          expect(error).toNotExist();
+          expect(res.statusCode).toEqual(207);
+          expect(options.defaultStatusCode).toEqual(207);
+          expect(options.uploads.map(({ file }) => file)).toEqual(['valid']);
+          expect(options.failures.map(({ file, error }) => [file, error.output.statusCode])).toEqual([
+            ['conflict', 409],
+            ['disallowed', 415],
+            ['large', 413]
+          ]);
+        });
+    });
+
+    it('should still respond with an error for invalid requests', function () {
+      return server.inject({ method: 'POST', url: '/partial/', payload: { file: 'this is my file' } })
+        .then((res) => {
+          expect(res.statusCode).toEqual(415);
+        });
+    });
+  });
 });